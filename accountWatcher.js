@@ -0,0 +1,287 @@
+import { TOKEN_STANDARD } from "./tokenStandards";
+
+const ethers = require("ethers");
+
+export const WATCH_EVENT = {
+    BLOCK: "block",
+    NATIVE: "native",
+    TOKEN: "token",
+    NFT: "nft",
+    VAULT: "vault",
+};
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+const TRANSFER_SINGLE_TOPIC = ethers.utils.id(
+    "TransferSingle(address,address,address,uint256,uint256)"
+);
+const TRANSFER_BATCH_TOPIC = ethers.utils.id(
+    "TransferBatch(address,address,address,uint256[],uint256[])"
+);
+
+const ERC1155_EVENTS = new ethers.utils.Interface([
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+]);
+
+// Blocks read in one log query, longer gaps are read in chunks
+const MAX_BLOCK_RANGE = 500;
+
+const toTopic = (address) => ethers.utils.hexZeroPad(address, 32).toLowerCase();
+
+const fromTopic = (topic) =>
+    ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+
+/**
+ * Turns a Transfer log into watcher events. ERC20 and ERC721 share the Transfer
+ * signature, ERC721 indexes the token id as a fourth topic.
+ * @param {Log} log
+ * @returns {Array<Object>} Events, empty if the log is not a transfer
+ */
+function parseTransfer(log) {
+    const base = {
+        address: log.address,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+    };
+    const [topic] = log.topics;
+    if (topic === TRANSFER_TOPIC && log.topics.length === 3) {
+        return [
+            {
+                ...base,
+                type: WATCH_EVENT.TOKEN,
+                from: fromTopic(log.topics[1]),
+                to: fromTopic(log.topics[2]),
+                amount: ethers.BigNumber.from(log.data),
+            },
+        ];
+    }
+    if (topic === TRANSFER_TOPIC && log.topics.length === 4) {
+        return [
+            {
+                ...base,
+                type: WATCH_EVENT.NFT,
+                standard: TOKEN_STANDARD.ERC721,
+                from: fromTopic(log.topics[1]),
+                to: fromTopic(log.topics[2]),
+                tokenId: ethers.BigNumber.from(log.topics[3]).toString(),
+                amount: ethers.BigNumber.from(1),
+            },
+        ];
+    }
+    if (topic === TRANSFER_SINGLE_TOPIC || topic === TRANSFER_BATCH_TOPIC) {
+        const { args } = ERC1155_EVENTS.parseLog(log);
+        const ids = args.ids || [args.id];
+        const values = args.values || [args.value];
+        return ids.map((id, i) => ({
+            ...base,
+            type: WATCH_EVENT.NFT,
+            standard: TOKEN_STANDARD.ERC1155,
+            from: args.from,
+            to: args.to,
+            tokenId: id.toString(),
+            amount: values[i],
+        }));
+    }
+    return [];
+}
+
+/**
+ * Watches accounts for balance and NFT changes. Every new block, from a provider
+ * subscription or polled when the provider cannot subscribe, triggers one log query
+ * for ERC20, ERC721 and ERC1155 transfers from or to the accounts and for Vault
+ * events that index one of the accounts, and a native balance check of each account.
+ * @param {Provider} provider
+ * @param {Array<string>} accounts Accounts to watch, e.g. the EOA and the proxy wallet
+ * @param {Object} options
+ * @param {Contract} [options.vault] Vault contract whose events are watched
+ * @param {boolean} [options.polling] Poll even if the provider can subscribe
+ * @param {Number} [options.interval] Poll interval in ms
+ * @returns {Object} Account watcher
+ */
+export function createAccountWatcher(
+    provider,
+    accounts,
+    { vault = null, polling = false, interval = 12000 } = {}
+) {
+    const watched = accounts.filter(Boolean);
+    const topics = watched.map(toTopic);
+    let listeners = [];
+    let timer = null;
+    let subscribed = false;
+    let checking = false;
+    let lastBlock = null;
+    let balances = {};
+
+    const emit = (event) =>
+        listeners.forEach((listener) => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.log("account watcher listener error", error);
+            }
+        });
+
+    const getLogs = async (fromBlock, toBlock) => {
+        const transfers1155 = [TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC];
+        const queries = [
+            // Transfer indexes from and to as topics 1 and 2, the ERC1155 events
+            // as topics 2 and 3 after the operator
+            { topics: [TRANSFER_TOPIC, topics] },
+            { topics: [TRANSFER_TOPIC, null, topics] },
+            { topics: [transfers1155, null, topics] },
+            { topics: [transfers1155, null, null, topics] },
+        ];
+        // Only Vault events with a watched account among their indexed arguments
+        if (vault)
+            queries.push(
+                { address: vault.address, topics: [null, topics] },
+                { address: vault.address, topics: [null, null, topics] },
+                { address: vault.address, topics: [null, null, null, topics] }
+            );
+        const results = await Promise.all(
+            queries.map((query) =>
+                provider.getLogs({ ...query, fromBlock, toBlock })
+            )
+        );
+        // A transfer between two watched accounts matches more than one query
+        const seen = new Set();
+        return results
+            .flat()
+            .filter((log) => {
+                const key = `${log.transactionHash}:${log.logIndex}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort(
+                (a, b) =>
+                    a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+            );
+    };
+
+    const toEvents = (log) => {
+        if (
+            vault &&
+            log.address.toLowerCase() === vault.address.toLowerCase()
+        ) {
+            try {
+                const { name, args } = vault.interface.parseLog(log);
+                return [
+                    {
+                        type: WATCH_EVENT.VAULT,
+                        address: log.address,
+                        name,
+                        args,
+                        blockNumber: log.blockNumber,
+                        transactionHash: log.transactionHash,
+                    },
+                ];
+            } catch (error) {
+                // Event missing from the Vault ABI
+                return [];
+            }
+        }
+        return parseTransfer(log);
+    };
+
+    const checkBalances = async (blockNumber) => {
+        for (const account of watched) {
+            const balance = await provider.getBalance(account, blockNumber);
+            const previous = balances[account];
+            balances[account] = balance;
+            if (previous && !previous.eq(balance))
+                emit({
+                    type: WATCH_EVENT.NATIVE,
+                    account,
+                    balance,
+                    previous,
+                    blockNumber,
+                });
+        }
+    };
+
+    /**
+     * @param {Number} blockNumber Latest block
+     */
+    const check = async (blockNumber) => {
+        if (checking || blockNumber === lastBlock) return;
+        checking = true;
+        try {
+            let fromBlock = lastBlock === null ? blockNumber : lastBlock + 1;
+            // Catches up on blocks missed while stopped or asleep, a chunk
+            // that fails is read again on the next block
+            while (fromBlock <= blockNumber) {
+                const toBlock = Math.min(
+                    fromBlock + MAX_BLOCK_RANGE - 1,
+                    blockNumber
+                );
+                const logs = await getLogs(fromBlock, toBlock);
+                for (const log of logs) toEvents(log).forEach(emit);
+                lastBlock = toBlock;
+                fromBlock = toBlock + 1;
+            }
+            await checkBalances(blockNumber);
+            emit({ type: WATCH_EVENT.BLOCK, blockNumber });
+        } catch (error) {
+            console.log("account watcher error", error);
+        } finally {
+            checking = false;
+        }
+    };
+
+    const poll = async () => {
+        try {
+            await check(await provider.getBlockNumber());
+        } catch (error) {
+            console.log("account watcher poll error", error);
+        }
+    };
+
+    const watcher = {
+        /**
+         * Subscribes to new blocks, polling instead if the provider cannot subscribe
+         */
+        start() {
+            if (subscribed || timer || !watched.length) return;
+            if (!polling && typeof provider.on === "function") {
+                try {
+                    provider.on("block", check);
+                    subscribed = true;
+                    return;
+                } catch (error) {
+                    console.log("block subscription error", error);
+                }
+            }
+            timer = setInterval(poll, interval);
+            poll();
+        },
+        /**
+         * Stops watching, start() picks up from the last checked block
+         */
+        stop() {
+            if (subscribed) provider.off("block", check);
+            subscribed = false;
+            clearInterval(timer);
+            timer = null;
+        },
+        /**
+         * @returns {boolean} Whether blocks are polled instead of subscribed to
+         */
+        isPolling() {
+            return !!timer;
+        },
+        /**
+         * @param {function} listener Called with every event, see WATCH_EVENT. Transfer
+         * events have { address, from, to, amount }, NFT events also { tokenId, standard },
+         * Vault events { name, args } and native events { account, balance, previous }.
+         * @returns {function} Unsubscribes the listener
+         */
+        subscribe(listener) {
+            listeners = [...listeners, listener];
+            return () => {
+                listeners = listeners.filter((current) => current !== listener);
+            };
+        },
+    };
+    return watcher;
+}
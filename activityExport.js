@@ -0,0 +1,212 @@
+import { Amount } from "./amount";
+import {
+    ACTION_TYPE,
+    describeTransfers,
+    HISTORY_CATEGORY,
+} from "./transactionHistory";
+
+export const EXPORT_FORMAT = {
+    CSV: "csv",
+    JSON: "json",
+};
+
+const NATIVE_CATEGORIES = [
+    HISTORY_CATEGORY.EXTERNAL,
+    HISTORY_CATEGORY.INTERNAL,
+];
+
+const lower = (address) => (address || "").toLowerCase();
+
+/**
+ * @param {Date|Number} date Date or unix time in seconds
+ * @returns {string} ISO 8601 time, null if empty
+ */
+export function toIsoTime(date) {
+    if (date === undefined || date === null) return null;
+    return (date instanceof Date ? date : new Date(date * 1000)).toISOString();
+}
+
+/**
+ * @param {Object} transfer Alchemy asset transfer in the native currency
+ * @returns {Amount} Exact amount from the raw hex value, Alchemy's value is a float
+ */
+function getTransferAmount(transfer) {
+    const raw = transfer.rawContract?.value;
+    return raw ? Amount.from(raw) : Amount.from(String(transfer.value ?? 0));
+}
+
+/**
+ * @param {Object} receipt Transaction receipt
+ * @param {BigNumber} [gasPrice] Gas price of the transaction
+ * @returns {Amount|null} Gas paid, null if the receipt has no effective gas price and
+ * the transaction no gas price, e.g. on some L2 nodes
+ */
+function getGasPaid(receipt, gasPrice) {
+    const price = receipt.effectiveGasPrice || gasPrice;
+    return price ? Amount.from(receipt.gasUsed.mul(price)) : null;
+}
+
+/**
+ * Builds the export row of a history entry. Amounts are decimal strings in the native
+ * currency, gas is only counted for transactions the EOA paid for, relayed ones are
+ * paid by the relayer.
+ * @param {Object} entry Entry of getAccountHistory(), with its receipt as receipt when
+ * the EOA sent it
+ * @param {Object} context
+ * @param {Array<string>} context.addresses Addresses of the account, EOA and proxy wallet
+ * @param {string} context.nativeSymbol
+ * @param {Object} [context.prices] USD prices on the day of the transaction, keyed by
+ * lower case token address, or by symbol for the native currency
+ * @returns {Object} { timestamp, hash, action, description, asset, amount, amountUsd,
+ * credits, gasPaid }, gasPaid is null when unknown
+ */
+export function toActivityRow(entry, { addresses, nativeSymbol, prices = {} }) {
+    const own = addresses.filter(Boolean).map(lower);
+    const isOwn = (address) => own.includes(lower(address));
+    const { type, description, items } = entry.action;
+    const moved = entry.transfers.filter(
+        (transfer) => isOwn(transfer.from) || isOwn(transfer.to)
+    );
+
+    // Vault calls carry the fee of each NFT, counting transfers too would count it twice
+    const amount = items.length
+        ? Amount.sum(items.map((item) => Amount.from(item.fee)))
+        : Amount.sum(
+              moved
+                  .filter((transfer) =>
+                      NATIVE_CATEGORIES.includes(transfer.category)
+                  )
+                  .map((transfer) => getTransferAmount(transfer))
+          );
+    const credits = Amount.sum(
+        items.map((item) => Amount.from(item.creditUsed))
+    );
+    const { receipt } = entry;
+    const gasPaid =
+        receipt && isOwn(entry.from)
+            ? getGasPaid(receipt, entry.gasPrice)
+            : Amount.zero();
+
+    let amountUsd = null;
+    const nativePrice = prices[nativeSymbol];
+    if (nativePrice !== undefined && nativePrice !== null)
+        amountUsd = Number(amount.toString()) * nativePrice;
+    for (const transfer of moved) {
+        if (transfer.category !== HISTORY_CATEGORY.ERC20) continue;
+        const price = prices[lower(transfer.rawContract?.address)];
+        if (price === undefined || price === null) continue;
+        amountUsd = (amountUsd || 0) + (transfer.value || 0) * price;
+    }
+
+    return {
+        timestamp: toIsoTime(entry.timestamp),
+        hash: entry.hash,
+        action: type,
+        description,
+        asset: items.length
+            ? items.map((item) => `${item.address} #${item.tokenId}`).join("; ")
+            : describeTransfers(moved, nativeSymbol),
+        amount: amount.toString(),
+        amountUsd: amountUsd === null ? null : Number(amountUsd.toFixed(2)),
+        credits: credits.toString(),
+        gasPaid: gasPaid && gasPaid.toString(),
+    };
+}
+
+/**
+ * Builds the export row of the referral rewards credited over the exported range
+ * @param {Amount|null} rewards Rent credit earned, null if unknown
+ * @param {Object} context
+ * @param {Date|Number} context.timestamp End of the range
+ * @param {string} context.nativeSymbol
+ * @param {Object} [context.prices] USD prices on the day of timestamp, see toActivityRow()
+ * @returns {Object} Row, see toActivityRow(), with a null amount when unknown
+ */
+export function toRewardRow(rewards, { timestamp, nativeSymbol, prices = {} }) {
+    const nativePrice = prices[nativeSymbol];
+    const amountUsd =
+        rewards && nativePrice !== undefined && nativePrice !== null
+            ? Number((Number(rewards.toString()) * nativePrice).toFixed(2))
+            : null;
+    return {
+        timestamp: toIsoTime(timestamp),
+        hash: null,
+        action: ACTION_TYPE.REWARD,
+        description: "Referral rewards credited as rent credit",
+        asset: `Rent credit (${nativeSymbol})`,
+        amount: rewards && rewards.toString(),
+        amountUsd,
+        credits: Amount.zero().toString(),
+        gasPaid: Amount.zero().toString(),
+    };
+}
+
+/**
+ * @param {Array} rows See toActivityRow()
+ * @returns {Object} Totals by action of amount, USD amount and credits, plus gas paid,
+ * leaving out unknown amounts and gas
+ */
+export function getActivityTotals(rows) {
+    const byAction = {};
+    for (const row of rows) {
+        const total = byAction[row.action] || {
+            count: 0,
+            amount: Amount.zero(),
+            amountUsd: 0,
+            credits: Amount.zero(),
+        };
+        byAction[row.action] = {
+            count: total.count + 1,
+            amount: total.amount.add(Amount.from(row.amount ?? "0")),
+            amountUsd: total.amountUsd + (row.amountUsd || 0),
+            credits: total.credits.add(Amount.from(row.credits)),
+        };
+    }
+    return {
+        byAction,
+        gasPaid: Amount.sum(
+            rows
+                .filter((row) => row.gasPaid !== null)
+                .map((row) => Amount.from(row.gasPaid))
+        ),
+    };
+}
+
+/**
+ * Quotes a CSV field. Fields starting with a formula character are prefixed with a
+ * quote, token names come from arbitrary contracts and spreadsheets would run them.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+    if (value === null || value === undefined) return "";
+    let field = String(value);
+    if (/^[=+\-@\t\r]/.test(field) && Number.isNaN(Number(field)))
+        field = `'${field}`;
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * @param {Array} rows See toActivityRow()
+ * @param {string} nativeSymbol Shown in the amount headers
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(rows, nativeSymbol) {
+    const columns = [
+        ["timestamp", "Timestamp (UTC)"],
+        ["hash", "Transaction hash"],
+        ["action", "Action"],
+        ["description", "Description"],
+        ["asset", "Asset"],
+        ["amount", `Amount (${nativeSymbol})`],
+        ["amountUsd", "Amount (USD at the day's price)"],
+        ["credits", `Credits applied (${nativeSymbol})`],
+        ["gasPaid", `Gas paid (${nativeSymbol})`],
+    ];
+    return [
+        columns.map(([, header]) => toCsvField(header)).join(","),
+        ...rows.map((row) =>
+            columns.map(([key]) => toCsvField(row[key])).join(",")
+        ),
+    ].join("\r\n");
+}
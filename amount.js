@@ -0,0 +1,174 @@
+const ethers = require("ethers");
+
+/**
+ * Fixed-point amount in the smallest unit of a token. All arithmetic stays in
+ * BigNumber, JS numbers are rejected as input since they cannot hold every amount
+ * exactly.
+ */
+export class Amount {
+    /**
+     * @param {BigNumber|string} raw Amount in the smallest unit, e.g. wei
+     * @param {Number} decimals
+     */
+    constructor(raw, decimals = 18) {
+        this.raw = ethers.BigNumber.from(raw);
+        this.decimals = decimals;
+    }
+
+    /**
+     * @param {Amount|BigNumber|string} value Amount, raw BigNumber or hex string, or decimal string
+     * @param {Number} decimals
+     * @returns {Amount}
+     */
+    static from(value, decimals = 18) {
+        if (value instanceof Amount) {
+            if (value.decimals !== decimals) {
+                throw new Error(
+                    `Cannot use amount with ${value.decimals} decimals as ${decimals} decimals`
+                );
+            }
+            return value;
+        }
+        if (
+            ethers.BigNumber.isBigNumber(value) ||
+            (typeof value === "string" && value.startsWith("0x"))
+        )
+            return new Amount(value, decimals);
+        if (value === null || value === undefined || value === "")
+            return Amount.zero(decimals);
+        if (typeof value !== "string")
+            throw new Error(
+                `Amount must be a decimal string, BigNumber or Amount, got ${typeof value} ${value}`
+            );
+        const [whole, fraction = ""] = value.trim().split(".");
+        // Digits past the token's precision cannot be represented and are dropped
+        const truncated = fraction
+            ? `${whole}.${fraction.slice(0, decimals)}`
+            : whole;
+        return new Amount(
+            ethers.utils.parseUnits(truncated, decimals),
+            decimals
+        );
+    }
+
+    /**
+     * @param {Number} decimals
+     * @returns {Amount}
+     */
+    static zero(decimals = 18) {
+        return new Amount(0, decimals);
+    }
+
+    /**
+     * @param {Array<Amount>} amounts
+     * @param {Number} decimals
+     * @returns {Amount} Sum of amounts
+     */
+    static sum(amounts, decimals = 18) {
+        return amounts.reduce(
+            (total, amount) => total.add(amount),
+            Amount.zero(decimals)
+        );
+    }
+
+    add(other) {
+        return new Amount(
+            this.raw.add(Amount.from(other, this.decimals).raw),
+            this.decimals
+        );
+    }
+
+    sub(other) {
+        return new Amount(
+            this.raw.sub(Amount.from(other, this.decimals).raw),
+            this.decimals
+        );
+    }
+
+    /**
+     * @param {BigNumber|Number} numerator
+     * @param {BigNumber|Number} denominator
+     * @returns {Amount} this * numerator / denominator, rounded down
+     */
+    mulDiv(numerator, denominator) {
+        return new Amount(
+            this.raw.mul(numerator).div(denominator),
+            this.decimals
+        );
+    }
+
+    min(other) {
+        return this.lte(other) ? this : Amount.from(other, this.decimals);
+    }
+
+    eq(other) {
+        return this.raw.eq(Amount.from(other, this.decimals).raw);
+    }
+
+    gt(other) {
+        return this.raw.gt(Amount.from(other, this.decimals).raw);
+    }
+
+    gte(other) {
+        return this.raw.gte(Amount.from(other, this.decimals).raw);
+    }
+
+    lt(other) {
+        return this.raw.lt(Amount.from(other, this.decimals).raw);
+    }
+
+    lte(other) {
+        return this.raw.lte(Amount.from(other, this.decimals).raw);
+    }
+
+    isZero() {
+        return this.raw.isZero();
+    }
+
+    isNegative() {
+        return this.raw.isNegative();
+    }
+
+    /**
+     * @returns {BigNumber} Raw amount in the smallest unit
+     */
+    toBigNumber() {
+        return this.raw;
+    }
+
+    /**
+     * @returns {string} Minimal hex string of the raw amount, as expected for tx values
+     */
+    toHexString() {
+        return ethers.utils.hexStripZeros(this.raw.toHexString());
+    }
+
+    /**
+     * @returns {string} Exact decimal string, e.g. "1.5"
+     */
+    toString() {
+        return ethers.utils.formatUnits(this.raw, this.decimals);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    /**
+     * Formats the amount for display, rounding down
+     * @param {Object} options
+     * @param {Number} [options.maxDecimals] Maximum fraction digits shown
+     * @param {string} [options.symbol] Appended after the amount
+     * @returns {string}
+     */
+    format({ maxDecimals = 4, symbol } = {}) {
+        const [whole, fraction = ""] = this.toString().split(".");
+        const trimmed = fraction.slice(0, maxDecimals).replace(/0+$/, "");
+        const groupedWhole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+        let formatted = trimmed ? `${groupedWhole}.${trimmed}` : groupedWhole;
+        if (formatted === "0" && !this.isZero()) {
+            formatted = `<0.${"0".repeat(Math.max(maxDecimals - 1, 0))}1`;
+        }
+        return symbol ? `${formatted} ${symbol}` : formatted;
+    }
+}
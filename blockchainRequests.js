@@ -1,11 +1,4 @@
-import {
-    cancelTransactionRequest,
-    getUser,
-    sendTransactions,
-    setURLByNetwork,
-    getURL,
-} from "./serverRequests";
-import detectEthereumProvider from "@metamask/detect-provider";
+import { setURLByNetwork, getURL } from "./serverRequests";
 import {
     getItem,
     setItem,
@@ -13,21 +6,159 @@ import {
     setItemByChainAndIds,
     getItemByChainAndIds,
 } from "./localStorage";
-import { getNativeCurrency, setNativeCurrency, sleep } from "./miscUtils";
+import { getNativeCurrency, setNativeCurrency } from "./miscUtils";
 import { RiContactsBookLine } from "react-icons/ri";
-import { CustomContract } from "./customContract";
+import { getNetwork, getNetworkByChainId } from "./networkRegistry";
+import { selectConnector } from "./connectors";
+import { loadContracts, verifyContractCode } from "./contractRegistry";
+import { createAlchemyDataSource, createMemoryDataSource } from "./dataSources";
+import { session, SESSION_EVENT } from "./sessionStore";
+import {
+    callWithRetry,
+    classifyError,
+    ERROR_KIND,
+    withRetry,
+} from "./retryPolicy";
+import { multicall } from "./multicall";
+import { now, RENTAL_STATUS, toRentalStatus } from "./rentalStatus";
+import { Amount } from "./amount";
+import {
+    allocateCredits,
+    creditKey,
+    CREDIT_STRATEGY,
+} from "./creditAllocation";
+import {
+    createFeePolicy,
+    DEFAULT_FEE_POLICY,
+    getReplacementFees,
+    sendContractTransaction,
+    sendWithFees,
+} from "./feeEngine";
+import { createTransactionTracker, TX_KIND } from "./transactionTracker";
+import {
+    detectTokenStandard,
+    ERC1155_ABI,
+    getNftStandard,
+    TOKEN_STANDARD,
+} from "./tokenStandards";
+import {
+    buildPermitTransfer,
+    getPermitDomain,
+    signPermit,
+    simulatePermit,
+} from "./permits";
+import { createMetadataResolver } from "./metadataResolver";
+import { createTokenRegistry } from "./tokenRegistry";
+import { mapWithConcurrency } from "./concurrency";
+import { createAccountWatcher, WATCH_EVENT } from "./accountWatcher";
+import {
+    createCallDecoder,
+    describeAction,
+    filterHistory,
+    getTransferTime,
+    getTransferTokenIds,
+    getVaultCallItems,
+    groupTransfers,
+    HISTORY_CATEGORY,
+    mergeTransfers,
+} from "./transactionHistory";
+import {
+    EXPORT_FORMAT,
+    getActivityTotals,
+    toActivityRow,
+    toCsv,
+    toIsoTime,
+    toRewardRow,
+} from "./activityExport";
 import { useTransactionToast, useErrorToast } from "../hooks/useCustomToast";
 
-const { Network, Alchemy } = require("alchemy-sdk");
+const { Alchemy } = require("alchemy-sdk");
 const ethers = require("ethers");
 const { NETWORK, CHAIN, NETWORK_INFO } = require("../types/networks");
 
-let ethersProvider, alchemy;
+let ethersProvider, dataSource, connector;
 
 let CONTRACT_ADDRESSES = {};
 
 let CONTRACT_ABIS = {};
 
+const DEFAULT_PAGE_SIZE = 12;
+
+// Largest page Alchemy returns for NFT requests
+const MAX_PAGE_SIZE = 100;
+
+let pageCursors = {};
+
+let feePolicy = DEFAULT_FEE_POLICY;
+
+let transactionTracker = null;
+
+let accountWatcher = null;
+
+let metadataResolver = createMetadataResolver();
+
+let tokenRegistries = {};
+
+let tokenPriceFeed = null;
+
+// Decimals and symbol never change, cached per chain for the session and in localStorage
+let tokenInfoCache = {};
+
+// Token metadata lookups in flight at once when refreshing tokens
+const TOKEN_CONCURRENCY = 6;
+
+// Pages of asset transfers fetched per address and direction, 1000 transfers each
+const MAX_HISTORY_PAGES = 10;
+
+// Transactions fetched at once to decode history entries
+const HISTORY_CONCURRENCY = 6;
+
+// History entries per page, each decoded with one getTransaction call
+const HISTORY_PAGE_SIZE = 25;
+
+// Every registered network uses an 18 decimal native currency
+const NATIVE_DECIMALS = 18;
+
+export const ASSET_TYPE = {
+    NATIVE: "native",
+    ERC20: "erc20",
+    ERC721: "erc721",
+    ERC1155: "erc1155",
+};
+
+export const WITHDRAW_ALL = "all";
+
+export const TRANSFER_STATUS = {
+    SUBMITTED: "submitted",
+    INVALID: "invalid",
+    FAILED: "failed",
+};
+
+export const DEPOSIT_METHOD = {
+    PERMIT: "permit",
+    APPROVAL: "approval",
+    TRANSFER: "transfer",
+};
+
+const WITHDRAW_MULTIPLE =
+    "withdrawMultiple(address[],uint256[],uint256[],address,uint256[])";
+
+/**
+ * Sets the gas margin, fallback gas and fee multipliers used for wallet transactions
+ * @param {Object} overrides Any field of DEFAULT_FEE_POLICY
+ */
+export function setFeePolicy(overrides) {
+    feePolicy = createFeePolicy(overrides);
+}
+
+/**
+ * Replaces the resolver used for NFT metadata, e.g. to use other IPFS gateways
+ * @param {Object} resolver See createMetadataResolver()
+ */
+export function setMetadataResolver(resolver) {
+    metadataResolver = resolver;
+}
+
 /**
  * @returns {Array<CHAIN>} Array of compatible networks
  */
@@ -41,12 +172,7 @@ export function getCompatibleChains() {
  * @returns {NETWORK} network name
  */
 export function chainIdToNetwork(chainId) {
-    const chainIdToName = {};
-    chainIdToName[CHAIN.MAINNET] = NETWORK.MAINNET;
-    chainIdToName[CHAIN.POLYGON] = NETWORK.POLYGON;
-    chainIdToName[CHAIN.GOERLI] = NETWORK.GOERLI;
-    chainIdToName[CHAIN.MUMBAI] = NETWORK.MUMBAI;
-    return chainIdToName[chainId];
+    return getNetworkByChainId(chainId);
 }
 
 /**
@@ -62,58 +188,26 @@ export function isCorrectChainId(chainId) {
  * @returns {NETWORK_INFO} info about network
  */
 export function getChainInfo(network) {
-    const ethNativeCurrency = { decimals: 18, symbol: "ETH", name: "ETH" };
-    const maticNativeCurrency = { decimals: 18, symbol: "MATIC", name: "MATIC" };
-    const info = {};
-    const empty = {
-        isCustom: null,
-        info: {
-            chainId: null,
-            blockExplorerUrls: [],
-            nativeCurrency: null,
-            chainName: null,
-        },
-    };
-    info[NETWORK.MAINNET] = {
-        isCustom: false,
-        info: {
-            chainId: CHAIN.MAINNET,
-            blockExplorerUrls: ["https://etherscan.io/"],
-            nativeCurrency: ethNativeCurrency,
-            chainName: "Ethereum",
-        },
-    };
-    info[NETWORK.GOERLI] = {
-        isCustom: false,
-        info: {
-            chainId: CHAIN.GOERLI,
-            blockExplorerUrls: ["https://goerli.etherscan.io/"],
-            nativeCurrency: ethNativeCurrency,
-            chainName: "Goerli",
-        },
-    };
-    info[NETWORK.POLYGON] = {
-        isCustom: true,
-        info: {
-            chainId: CHAIN.POLYGON,
-            blockExplorerUrls: [],
-            rpcUrls: [process.env.REACT_APP_POLYGON_RPC],
-            blockExplorerUrls: ["https://polygonscan.com"],
-            nativeCurrency: maticNativeCurrency,
-            chainName: "Polygon",
-        },
-    };
-    info[NETWORK.MUMBAI] = {
-        isCustom: true,
-        info: {
-            chainId: CHAIN.MUMBAI,
-            rpcUrls: [process.env.REACT_APP_MUMBAI_RPC],
-            blockExplorerUrls: ["https://mumbai.polygonscan.com"],
-            nativeCurrency: maticNativeCurrency,
-            chainName: "Mumbai",
-        },
+    const entry = getNetwork(network);
+    if (!entry) {
+        return {
+            isCustom: null,
+            info: {
+                chainId: null,
+                blockExplorerUrls: [],
+                nativeCurrency: null,
+                chainName: null,
+            },
+        };
+    }
+    const info = {
+        chainId: entry.chainId,
+        blockExplorerUrls: entry.blockExplorerUrls,
+        nativeCurrency: entry.nativeCurrency,
+        chainName: entry.chainName,
     };
-    return info[network] || empty;
+    if (entry.rpcUrls.length) info.rpcUrls = entry.rpcUrls;
+    return { isCustom: entry.isCustom, info };
 }
 
 /**
@@ -122,26 +216,14 @@ export function getChainInfo(network) {
  * @returns {Promise<null>}
  */
 export async function setChainId(network) {
-    // NOTE this method is MetaMask specific!
-    const { isCustom, info } = getChainInfo(network);
-    if (!isCustom) {
-        return await window.ethereum.request({
-            method: "wallet_switchEthereumChain",
-            params: [{ chainId: info.chainId }],
-        });
-    }
-
-    return await window.ethereum.request({
-        method: "wallet_addEthereumChain",
-        params: [info],
-    });
+    return await connector.switchChain(getChainInfo(network));
 }
 
 /**
  * @returns {Promise<CHAIN>} chain id as hex string
  */
 export async function getChainId() {
-    return await window.ethereum?.request({ method: "eth_chainId" });
+    return await connector?.getChainId();
 }
 
 /**
@@ -149,124 +231,157 @@ export async function getChainId() {
  * @returns {CHAIN} chain id as hex string
  */
 export function getChainIdLocal() {
-    return window.ethereum?.chainId;
+    return connector?.getChainIdLocal();
+}
+
+/**
+ * @returns {Object} Wallet connector selected by initializeProvider
+ */
+export function getConnector() {
+    return connector;
 }
 
+/**
+ * Loads contract addresses and ABIs for a network
+ * @param {NETWORK} network
+ */
 export function initializeContracts(network) {
-    CONTRACT_ADDRESSES = {
-        VAULT:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/VaultModule-address.json`)[
-            "Module"
-            ],
-        RENTSTORAGE:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/RentableTokensStorage-address.json`)[
-            "Module"
-            ],
-        PROXYWALLETFACTORY:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/ProxyWalletFactoryModule-address.json`)[
-            "Module"
-            ],
-    };
-    CONTRACT_ABIS = {
-        ERC20: require("./erc20abi.json"),
-        NFT: require("./erc721abi.json"),
-        VAULT:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/VaultModule.json`)
-                .abi,
-        RENTSTORAGE:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/RentableTokensStorage.json`)
-                .abi,
-        PROXYWALLETFACTORY:
-            require(`../../submodules/Z4/frontend/src/contracts/${network}_artifacts/ProxyWalletFactoryModule.json`)
-                .abi,
-    };
+    ({ addresses: CONTRACT_ADDRESSES, abis: CONTRACT_ABIS } =
+        loadContracts(network));
 }
 
 /**
- * Initializes Alchemy SDK instance
+ * Initializes Alchemy SDK instance and uses it as data source
  * @param {NETWORK} network
  */
 export function initializeAlchemy(network) {
-    const networks = {};
-    networks[NETWORK.GOERLI] = Network.ETH_GOERLI;
-    networks[NETWORK.MAINNET] = Network.ETH_MAINNET;
-    networks[NETWORK.MUMBAI] = Network.MATIC_MUMBAI;
-    networks[NETWORK.POLYGON] = Network.MATIC_MAINNET;
-
     const settings = {
         apiKey: process.env.REACT_APP_ALCHEMY,
-        network: networks[network],
+        network: getNetwork(network)?.alchemyNetwork,
     };
-    alchemy = new Alchemy(settings);
+    dataSource = createAlchemyDataSource(new Alchemy(settings));
 }
 
 /**
- * Initializes ethereum provider
- * @param {function} setProvider
- * @param {function} setBlockchainError
- * @param {string} publicKey
- * @param {function} setPublicKey
- * @param {function} setUser
- * @param {function} setProxyWallet
+ * Runs against a local chain (Hardhat or anvil) and an in-memory data source instead of
+ * the wallet, Alchemy and the ZipZap server. Register the local network and override the
+ * deployed contract addresses with setContractAddressOverrides() first.
+ * @param {NETWORK} network
+ * @param {string} rpcUrl RPC URL of the local chain
+ * @param {Object} fixtures See createMemoryDataSource()
+ * @returns {JsonRpcProvider}
  */
-export async function initializeProvider(
-    setProvider,
-    setBlockchainError,
-    publicKey,
-    setPublicKey,
-    setUser,
-    setProxyWallet,
-    setTokens,
-    setTokensLoading,
-    setChangeChain
-) {
+export function initializeLocal(network, rpcUrl, fixtures) {
+    ethersProvider = new ethers.providers.JsonRpcProvider(rpcUrl);
+    initializeContracts(network);
+    setNativeCurrency(network);
+    dataSource = createMemoryDataSource(fixtures, ethersProvider);
+    return ethersProvider;
+}
+
+/**
+ * Replaces the data source used for Alchemy and ZipZap server requests
+ * @param {Object} source See dataSources.js for the interface
+ */
+export function setDataSource(source) {
+    dataSource = source;
+}
+
+/**
+ * Points contracts, server URL, native currency and Alchemy at a network
+ * @param {NETWORK} network
+ */
+function initializeNetwork(network) {
+    clearPageCursors();
+    initializeContracts(network);
+    setURLByNetwork(network);
+    setNativeCurrency(network);
+    initializeAlchemy(network);
+}
+
+/**
+ * Initializes ethereum provider and keeps the session store in sync with the wallet.
+ * Switching to another compatible chain re-initializes everything in place and emits
+ * SESSION_EVENT.NETWORK_CHANGED once user and tokens are reloaded.
+ * @param {Object} store Session store to update, defaults to the shared session
+ * @param {string} [connectorId] Id of the wallet connector to use, defaults to the last one used
+ */
+export async function initializeProvider(store = session, connectorId) {
     const connectHandler = () => {
-        setBlockchainError(false);
+        store.setState({ blockchainError: false });
     };
     const disconnectHandler = (error) => {
         // NOTE disable because it shows error when changing chains.
         // This not necessarily an error.
         // console.log(error);
-        // setBlockchainError(true);
+        // store.setState({ blockchainError: true });
     };
     const chainChangedHandler = async (chainId) => {
-        const isCorrect = isCorrectChainId(chainId);
-        setChangeChain(!isCorrect);
-        if (isCorrect) window.location.reload();
+        try {
+            const isCorrect = isCorrectChainId(chainId);
+            store.setState({ changeChain: !isCorrect });
+            if (!isCorrect) return;
+            const network = chainIdToNetwork(chainId);
+            const { network: previousNetwork } = store.getState();
+            if (network === previousNetwork) return;
+            // Web3Provider is bound to the network it was created on
+            const provider = new ethers.providers.Web3Provider(
+                await connector.getProvider()
+            );
+            // Keep the previous network in place if the new one has no contracts
+            const { addresses } = loadContracts(network);
+            await verifyContractCode(provider, addresses);
+            initializeNetwork(network);
+            ethersProvider = provider;
+            store.setState({ chainId, network, provider: ethersProvider });
+            // Reload user and tokens for the new chain
+            await accountsChangedHandler(await connector.getAccounts(), true);
+            store.emit(SESSION_EVENT.NETWORK_CHANGED, {
+                chainId,
+                network,
+                previousNetwork,
+            });
+        } catch (error) {
+            console.log("chain changed error", error);
+            store.setState({ blockchainError: true });
+        }
     };
-    const accountsChangedHandler = async (accounts) => {
+    const accountsChangedHandler = async (accounts, reload = false) => {
         // Confirm chainId is correct first
         if (accounts && accounts.length) {
             const chainId = await getChainId();
             if (!isCorrectChainId(chainId)) {
                 setItem("accounts", accounts);
-                window.ethereum.emit("chainChanged", chainId);
+                connector.emit("chainChanged", chainId);
                 return;
             }
         }
         // Login user
-        if (accounts && accounts.length && accounts[0] !== publicKey) {
+        if (
+            accounts &&
+            accounts.length &&
+            // The logged in account changes after initializeProvider() runs
+            (reload || accounts[0] !== store.getState().publicKey)
+        ) {
             // Reset states in case user changes accounts and does not sign with new account
-            setTokensLoading(true);
-            setPublicKey(null);
-            setUser(null);
-            setProxyWallet(null);
-            setTokens(null);
+            store.setState({ tokensLoading: true });
+            store.resetAccount();
             removeItem("accounts");
             // Fetch and init. states
             const account = accounts[0];
-            const { username, proxyWalletAddress: proxyWallet } = await getUser(
-                account
-            );
+            const { username, proxyWalletAddress: proxyWallet } =
+                await dataSource.getUser(account);
             const user = {
                 username: username || "Alpha Tester",
                 email: "example@mail.com",
                 level: 1,
                 rank: "Cadet",
                 exp: 321,
-                remainingRentAmount: 0,
-                maxRentAmount: 0,
+                // Amounts, see getRentalAmountInfo()
+                remainingRentAmount: Amount.zero(),
+                maxRentAmount: Amount.zero(),
             };
+            const setTokens = (tokens) => store.setState({ tokens });
             let localTokens = getItemByChainAndIds("tokens", [proxyWallet]);
             if (localTokens && localTokens[getNativeCurrency()])
                 setTokens(localTokens);
@@ -286,52 +401,192 @@ export async function initializeProvider(
             user.remainingRentAmount = remainingRentalAmount;
             user.maxRentAmount = maxRentalAmount;
             if (proxyWallet) {
-                getAllTokens(proxyWallet, localTokens, setTokens).then(() => {
-                    setTokensLoading(false);
-                });
+                getAllTokens(proxyWallet, localTokens, setTokens)
+                    .catch((error) =>
+                        console.log("get all tokens error", error)
+                    )
+                    .finally(() => store.setState({ tokensLoading: false }));
             } else {
-                setTokensLoading(false);
+                store.setState({ tokensLoading: false });
             }
-            setPublicKey(account);
-            setProxyWallet(proxyWallet);
-            setUser(user);
+            store.setState({ publicKey: account, proxyWallet, user });
+            startTransactionTracker(store, account);
+            startAccountWatcher(store, account, proxyWallet);
             setItem("accounts", accounts);
             return;
         }
-        setPublicKey(null);
-        setUser(null);
-        setProxyWallet(null);
-        setTokens(null);
+        stopTransactionTracker();
+        stopAccountWatcher();
+        store.resetAccount();
         removeItem("accounts");
     };
     try {
-        const provider = await detectEthereumProvider();
+        connector?.removeAllListeners();
+        connector = await selectConnector(connectorId);
+        const provider = await connector?.getProvider();
         if (!provider) return;
-        provider.removeAllListeners();
-        provider.on("connect", connectHandler);
-        provider.on("disconnect", disconnectHandler);
-        provider.on("chainChanged", chainChangedHandler);
+        connector.on("connect", connectHandler);
+        connector.on("disconnect", disconnectHandler);
+        connector.on("chainChanged", chainChangedHandler);
         const chainId = await getChainId();
         if (!isCorrectChainId(chainId)) {
-            window.ethereum.emit("chainChanged", chainId);
+            connector.emit("chainChanged", chainId);
         } else {
             const network = chainIdToNetwork(chainId);
-            initializeContracts(network);
-            setURLByNetwork(network);
-            setNativeCurrency(network);
-            initializeAlchemy(network);
+            initializeNetwork(network);
+            store.setState({ chainId, network });
         }
-        provider.on("accountsChanged", accountsChangedHandler);
+        connector.on("accountsChanged", accountsChangedHandler);
         ethersProvider = new ethers.providers.Web3Provider(provider);
         // ethersProvider = new CustomProvider(provider);
-        setProvider(ethersProvider);
+        store.setState({ provider: ethersProvider });
+        if (isCorrectChainId(chainId))
+            await verifyContractCode(ethersProvider, CONTRACT_ADDRESSES);
     } catch (error) {
         console.log("initialize provider error", error);
+        store.setState({ blockchainError: true });
+    }
+}
+
+/**
+ * Tracks the account's transactions, picking up the ones still pending from a previous session
+ * @param {Object} store Session store receiving the transactions
+ * @param {string} account
+ */
+function startTransactionTracker(store, account) {
+    stopTransactionTracker();
+    transactionTracker = createTransactionTracker(ethersProvider, account);
+    transactionTracker.subscribe((_, transactions) =>
+        store.setState({ transactions })
+    );
+    store.setState({ transactions: transactionTracker.getTransactions() });
+    transactionTracker.resume();
+}
+
+function stopTransactionTracker() {
+    transactionTracker?.stop();
+    transactionTracker = null;
+}
+
+/**
+ * @returns {Object} Transaction tracker of the connected account, null if none
+ */
+export function getTransactionTracker() {
+    return transactionTracker;
+}
+
+/**
+ * Watches the account and its proxy wallet, keeping the proxy wallet's tokens and
+ * rental amounts in the store up to date
+ * @param {Object} store Session store
+ * @param {string} account
+ * @param {string} proxyWallet
+ */
+function startAccountWatcher(store, account, proxyWallet) {
+    stopAccountWatcher();
+    accountWatcher = createAccountWatcher(
+        ethersProvider,
+        [account, proxyWallet],
+        {
+            vault: new ethers.Contract(
+                CONTRACT_ADDRESSES["VAULT"],
+                CONTRACT_ABIS["VAULT"],
+                ethersProvider
+            ),
+        }
+    );
+    accountWatcher.subscribe((event) =>
+        handleWatchEvent(store, proxyWallet, event).catch((error) =>
+            console.log("handle watch event error", error)
+        )
+    );
+    accountWatcher.start();
+}
+
+function stopAccountWatcher() {
+    accountWatcher?.stop();
+    accountWatcher = null;
+}
+
+/**
+ * @returns {Object} Account watcher of the connected account, null if none. Subscribe
+ * to it for NFT changes, NFT lists are not kept in the store.
+ */
+export function getAccountWatcher() {
+    return accountWatcher;
+}
+
+/**
+ * Updates only what an event changed: the proxy wallet's native balance, the balance
+ * of one token, the cached NFT pages of an owner or the rental amounts
+ * @param {Object} store Session store
+ * @param {string} proxyWallet
+ * @param {Object} event Account watcher event, see WATCH_EVENT
+ */
+async function handleWatchEvent(store, proxyWallet, event) {
+    const involves = (address) =>
+        !!address &&
+        [event.from, event.to, event.account].some(
+            (current) => current?.toLowerCase() === address.toLowerCase()
+        );
+    const setToken = (key, token) => {
+        const { tokens } = store.getState();
+        if (!token || !tokens) return;
+        const updated = { ...tokens, [key]: { ...tokens[key], ...token } };
+        setItemByChainAndIds("tokens", [proxyWallet], updated);
+        store.setState({ tokens: updated });
+    };
+    switch (event.type) {
+        case WATCH_EVENT.NATIVE:
+            if (involves(proxyWallet))
+                setToken(getNativeCurrency(), await getEthBalance(proxyWallet));
+            break;
+        case WATCH_EVENT.TOKEN: {
+            if (!involves(proxyWallet)) break;
+            const tokens = store.getState().tokens || {};
+            const key =
+                Object.keys(tokens).find(
+                    (current) =>
+                        current.toLowerCase() === event.address.toLowerCase()
+                ) || event.address.toLowerCase();
+            setToken(key, await getERC20(proxyWallet, key, tokens));
+            break;
+        }
+        case WATCH_EVENT.NFT:
+            [event.from, event.to].forEach(clearPageCursors);
+            break;
+        case WATCH_EVENT.VAULT: {
+            const { user } = store.getState();
+            if (!user) break;
+            const [remainingRentAmount, maxRentAmount] =
+                await getRentalAmountInfo(proxyWallet);
+            store.setState({
+                user: { ...user, remainingRentAmount, maxRentAmount },
+            });
+            break;
+        }
+        default:
     }
 }
 
 /**
- * Connect to user's metamask
+ * Records a submitted transaction with the tracker. Tracking errors never fail the transaction.
+ * @param {TransactionResponse|string} tx Response, or hash of a relayed transaction
+ * @param {TX_KIND} kind
+ * @param {Array} assets Assets moved, e.g. { address, tokenId, amount }
+ * @param {boolean} relayed Whether it was relayed from the proxy wallet
+ */
+async function trackTransaction(tx, kind, assets = [], relayed = false) {
+    if (!transactionTracker || !tx) return;
+    try {
+        await transactionTracker.track(tx, { kind, assets, relayed });
+    } catch (error) {
+        console.log("track transaction error", error);
+    }
+}
+
+/**
+ * Connect to user's wallet through the selected connector
  * @param {function} setLoading
  * @param {boolean} eager Whether to eager connect
  */
@@ -341,9 +596,7 @@ export async function connectToAccount(publicKey, setLoading, eager) {
     try {
         if (eager) {
             const accounts = getItem("accounts");
-            const availableAccounts = await window.ethereum.request({
-                method: "eth_accounts",
-            });
+            const availableAccounts = await connector.getAccounts();
             if (
                 !accounts ||
                 !availableAccounts ||
@@ -353,13 +606,13 @@ export async function connectToAccount(publicKey, setLoading, eager) {
                 setLoading(false);
                 return;
             }
-            window.ethereum.emit("accountsChanged", availableAccounts || []);
+            connector.emit("accountsChanged", availableAccounts || []);
         } else {
-            accounts = await ethersProvider.send("eth_accounts");
+            accounts = await connector.getAccounts();
             if (!accounts.length) {
-                accounts = await ethersProvider.send("eth_requestAccounts", []);
+                accounts = await connector.requestAccounts();
             } else {
-                window.ethereum.emit("accountsChanged", accounts || []);
+                connector.emit("accountsChanged", accounts || []);
             }
         }
     } catch (error) {
@@ -370,28 +623,31 @@ export async function connectToAccount(publicKey, setLoading, eager) {
 
 /**
  * @param {string} proxyWallet User's proxy wallet address
- * @returns {Promise<Number, Number>} Remaining rental amount and max rental amount
+ * @returns {Promise<Array<Amount>>} Remaining rental amount and max rental amount, use
+ * format() for display and the Amount methods to compare
  */
 export async function getRentalAmountInfo(proxyWallet) {
     try {
-        const vault = new CustomContract(
+        const vault = new ethers.Contract(
             CONTRACT_ADDRESSES["VAULT"],
             CONTRACT_ABIS["VAULT"],
             ethersProvider
         );
-        const maxRentalAmount = ethers.utils.formatEther(
-            (await vault.callWithRetry("getMaxRentalAmount", [])) || "0"
+        const maxRentalAmount = Amount.from(
+            (await callWithRetry(vault, "getMaxRentalAmount", [])) || "0"
         );
         let currentRentalAmount;
         if (proxyWallet)
-            currentRentalAmount = ethers.utils.formatEther(
-                (await vault.callWithRetry("getRentalAmount", [proxyWallet])) || "0"
+            currentRentalAmount = Amount.from(
+                (await callWithRetry(vault, "getRentalAmount", [
+                    proxyWallet,
+                ])) || "0"
             );
-        else currentRentalAmount = 0;
-        return [maxRentalAmount - currentRentalAmount, maxRentalAmount];
+        else currentRentalAmount = Amount.zero();
+        return [maxRentalAmount.sub(currentRentalAmount), maxRentalAmount];
     } catch (error) {
         console.log("get remaining rental amount error", error);
-        return [0, 0];
+        return [Amount.zero(), Amount.zero()];
     }
 }
 
@@ -402,13 +658,18 @@ export async function getRentalAmountInfo(proxyWallet) {
  */
 export async function getEthBalance(account, tokens, setTokens) {
     try {
-        const eth = account ? await ethersProvider.getBalance(account) : 0;
-        const amount = ethers.utils.formatEther(eth);
+        const eth = account
+            ? await withRetry(() => ethersProvider.getBalance(account), {
+                  label: "getBalance",
+              })
+            : null;
+        const amount = Amount.from(eth, NATIVE_DECIMALS).toString();
         if (setTokens) {
             tokens[getNativeCurrency()] = {
                 name: getNativeCurrency(),
                 amount,
                 address: getNativeCurrency(),
+                decimals: NATIVE_DECIMALS,
             };
             setTokens({ ...tokens });
             setItemByChainAndIds("tokens", [account], tokens);
@@ -417,6 +678,7 @@ export async function getEthBalance(account, tokens, setTokens) {
             name: getNativeCurrency(),
             address: getNativeCurrency(),
             amount,
+            decimals: NATIVE_DECIMALS,
         };
     } catch (error) {
         console.log("get eth balance error");
@@ -428,39 +690,182 @@ export async function getEthBalance(account, tokens, setTokens) {
  * Send ethereum
  * @param {string} from
  * @param {string} to
- * @param {Number} amount
+ * @param {string} amount Decimal amount typed in by user
  * @returns {Promise<TransactionResponse>}
  */
 export async function sendEth(from, to, amount) {
     if (!from || !to) return;
-    return await ethersProvider.getSigner().sendTransaction({
-        to: to,
-        value: ethers.utils.parseEther(amount, "ether"), // Don't need conversion b/c raw string typed in by user
-    });
+    const response = await sendWithFees(
+        ethersProvider.getSigner(),
+        {
+            to: to,
+            value: Amount.from(amount, NATIVE_DECIMALS).toBigNumber(),
+        },
+        { policy: feePolicy }
+    );
+    await trackTransaction(response, TX_KIND.DEPOSIT, [
+        { address: getNativeCurrency(), amount },
+    ]);
+    return response;
+}
+
+/**
+ * @param {string} proxyWallet Proxy wallet to send from
+ * @param {string} to
+ * @param {Amount|string} amount
+ * @returns {Object} Relayed transaction sending native currency
+ */
+function buildNativeWithdrawal(proxyWallet, to, amount) {
+    return {
+        from: proxyWallet,
+        to,
+        value: Amount.from(amount, NATIVE_DECIMALS).toHexString(),
+    };
+}
+
+/**
+ * @param {string} proxyWallet Proxy wallet to send from
+ * @param {string} to
+ * @param {string} address ERC20 address
+ * @param {Amount|string} amount
+ * @param {Number} decimals Decimals of the ERC20
+ * @returns {Object} Relayed transaction transferring the ERC20
+ */
+function buildERC20Withdrawal(proxyWallet, to, address, amount, decimals) {
+    return {
+        from: proxyWallet,
+        to: address,
+        data: new ethers.utils.Interface(
+            CONTRACT_ABIS["ERC20"]
+        ).encodeFunctionData("transfer(address,uint256)", [
+            to,
+            Amount.from(amount, decimals).toBigNumber(),
+        ]),
+    };
+}
+
+/**
+ * @param {string} address NFT contract address
+ * @param {TOKEN_STANDARD} standard
+ * @param {Signer|Provider} signerOrProvider
+ * @returns {Contract} Contract with the ABI of the standard
+ */
+function getNftContract(address, standard, signerOrProvider) {
+    return new ethers.Contract(
+        address,
+        standard === TOKEN_STANDARD.ERC1155
+            ? ERC1155_ABI
+            : CONTRACT_ABIS["NFT"],
+        signerOrProvider
+    );
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @param {string} tokenId
+ * @param {TOKEN_STANDARD} standard
+ * @param {BigNumber|Number} amount Number of ERC-1155 tokens, ignored for ERC-721
+ * @returns {Array} Method and args of the standard's safeTransferFrom
+ */
+function getNftTransfer(from, to, tokenId, standard, amount) {
+    if (standard === TOKEN_STANDARD.ERC1155)
+        return [
+            "safeTransferFrom(address,address,uint256,uint256,bytes)",
+            [from, to, tokenId, amount, "0x"],
+        ];
+    return ["safeTransferFrom(address,address,uint256)", [from, to, tokenId]];
+}
+
+/**
+ * @param {string} proxyWallet Proxy wallet to send from
+ * @param {string} to
+ * @param {string} nftAddress
+ * @param {string} tokenId
+ * @param {TOKEN_STANDARD} [standard]
+ * @param {BigNumber|Number} [amount] Number of ERC-1155 tokens
+ * @returns {Object} Relayed transaction transferring the NFT
+ */
+function buildNftWithdrawal(
+    proxyWallet,
+    to,
+    nftAddress,
+    tokenId,
+    standard = TOKEN_STANDARD.ERC721,
+    amount = 1
+) {
+    const [method, args] = getNftTransfer(
+        proxyWallet,
+        to,
+        tokenId,
+        standard,
+        amount
+    );
+    return {
+        from: proxyWallet,
+        to: nftAddress,
+        data: getNftContract(nftAddress, standard).interface.encodeFunctionData(
+            method,
+            args
+        ),
+    };
 }
 
 /**
  * Withdraw ethereum from proxywallet
  * @param {string} proxyWallet
  * @param {string} to
- * @param {Number} amount
+ * @param {string} amount Decimal amount typed in by user
  * @returns {Promise<TransactionResponse>}
  */
 export async function withdrawEth(proxyWallet, to, amount) {
     if (!to) return;
-    const tx = {
-        from: proxyWallet,
-        to: to,
-        value: ethers.utils.hexStripZeros(
-            ethers.utils.parseEther(amount, "ether").toHexString() // Don't need conversion b/c raw string typed in by user
-        ),
-    };
+    const tx = buildNativeWithdrawal(proxyWallet, to, amount);
     // NOTE assume to === user's public key
-    const hash = await sendTransactions(to, [tx]);
+    const hash = await dataSource.sendTransactions(to, [tx]);
+    await trackTransaction(
+        hash,
+        TX_KIND.WITHDRAW,
+        [{ address: getNativeCurrency(), amount }],
+        true
+    );
     return hash;
     // return await ethersProvider.getTransaction(hash);
 }
 
+/**
+ * @param {string} address ERC20 address
+ * @returns {Promise<{decimals: Number, symbol: string}>} Cached decimals and symbol
+ */
+async function getTokenInfo(address) {
+    const key = address.toLowerCase();
+    const { chainId } = await ethersProvider.getNetwork();
+    const cacheKey = `${chainId}:${key}`;
+    if (!tokenInfoCache[cacheKey]) {
+        tokenInfoCache[cacheKey] = (async () => {
+            const stored = getItemByChainAndIds("tokenInfo", [key]);
+            if (stored) return stored;
+            const contract = new ethers.Contract(
+                address,
+                CONTRACT_ABIS["ERC20"],
+                ethersProvider
+            );
+            const [decimals, symbol] = await Promise.all([
+                callWithRetry(contract, "decimals", []),
+                callWithRetry(contract, "symbol", []),
+            ]);
+            const info = { decimals, symbol };
+            setItemByChainAndIds("tokenInfo", [key], info);
+            return info;
+        })().catch((error) => {
+            // Retry on the next refresh instead of caching the failure
+            delete tokenInfoCache[cacheKey];
+            throw error;
+        });
+    }
+    return await tokenInfoCache[cacheKey];
+}
+
 /**
  * Get ERC 20 amount owned by account
  * @param {string} account Address of account to check
@@ -472,21 +877,13 @@ export async function getERC20(account, address, tokens, setTokens) {
     if (!account) return;
     let tokensCopy = { ...tokens };
     try {
-        const contract = new CustomContract(
+        const contract = new ethers.Contract(
             address,
             CONTRACT_ABIS["ERC20"],
             ethersProvider
         );
-        // const contract = new ethers.Contract(
-        //   address,
-        //   CONTRACT_ABIS["ERC20"],
-        //   ethersProvider
-        // );
         if (!tokens[address]) {
-            // const decimals = await contract.decimals();
-            // const symbol = await contract.symbol();
-            const decimals = await contract.callWithRetry("decimals", []);
-            const symbol = await contract.callWithRetry("symbol", []);
+            const { decimals, symbol } = await getTokenInfo(address);
             tokensCopy[address] = {
                 decimals: decimals,
                 name: symbol,
@@ -494,11 +891,11 @@ export async function getERC20(account, address, tokens, setTokens) {
             };
         }
         // const balance = await contract.balanceOf(account);
-        const balance = await contract.callWithRetry("balanceOf", [account]);
-        tokensCopy[address]["amount"] = ethers.utils.formatUnits(
+        const balance = await callWithRetry(contract, "balanceOf", [account]);
+        tokensCopy[address]["amount"] = Amount.from(
             balance,
             tokensCopy[address]["decimals"]
-        );
+        ).toString();
     } catch (error) {
         console.log("get erc20 error", error);
     }
@@ -514,7 +911,7 @@ export async function getERC20(account, address, tokens, setTokens) {
  * @param {string} address Address of token
  * @param {Array} tokens
  * @param {string} to Address to send to
- * @param {Number} amount Amount to send
+ * @param {string} amount Decimal amount to send
  * @returns
  */
 export async function sendERC20(address, tokens, to, amount) {
@@ -523,10 +920,14 @@ export async function sendERC20(address, tokens, to, amount) {
         CONTRACT_ABIS["ERC20"],
         ethersProvider.getSigner()
     );
-    return await contract.transfer(
-        to,
-        ethers.utils.parseUnits(amount, tokens[address]["decimals"])
+    const response = await sendContractTransaction(
+        contract,
+        "transfer",
+        [to, Amount.from(amount, tokens[address]["decimals"]).toBigNumber()],
+        { policy: feePolicy }
     );
+    await trackTransaction(response, TX_KIND.DEPOSIT, [{ address, amount }]);
+    return response;
 }
 
 /**
@@ -535,7 +936,7 @@ export async function sendERC20(address, tokens, to, amount) {
  * @param {Array} tokens
  * @param {string} publicKey Address to withdraw to
  * @param {string} proxyWallet ProxyWallet to withdraw from
- * @param {Number} amount Amount to send
+ * @param {string} amount Decimal amount to send
  * @returns
  */
 export async function withdrawERC20(
@@ -546,137 +947,336 @@ export async function withdrawERC20(
     amount
 ) {
     if (!publicKey || !proxyWallet) return;
-    const tx = { from: proxyWallet, to: address };
-    tx.data = (
-        await new ethers.Contract(
-            address,
-            CONTRACT_ABIS["ERC20"],
-            ethersProvider
-        ).populateTransaction["transfer(address,uint256)"](
-            publicKey,
-            ethers.utils.parseUnits(amount, tokens[address]["decimals"])
-        )
-    ).data;
-    const hash = await sendTransactions(publicKey, [tx]);
+    const tx = buildERC20Withdrawal(
+        proxyWallet,
+        publicKey,
+        address,
+        amount,
+        tokens[address]["decimals"]
+    );
+    const hash = await dataSource.sendTransactions(publicKey, [tx]);
+    await trackTransaction(hash, TX_KIND.WITHDRAW, [{ address, amount }], true);
     return hash;
     // return await ethersProvider.getTransaction(hash);
 }
 
 /**
- * Updates tokens for account
- * @param {string} account Account to fetch tokens for
- * @param {Array} tokens
- * @param {function} setTokens
+ * @param {string} account
+ * @returns {Promise<Object>} Token registry of the account on the current chain
  */
-export async function getAllTokens(account, tokens, setTokens) {
-    const updatedTokens = {};
-    for (const symbol in tokens) {
-        if (symbol === getNativeCurrency()) {
-            updatedTokens[symbol] = await getEthBalance(account);
-        } else {
-            updatedTokens[symbol] = await getERC20(
-                account,
-                tokens[symbol]["address"],
-                tokens
-            );
-        }
-    }
-    if (account) {
-        const { tokenBalances } = await alchemy.core.getTokenBalances(account);
-        for (const token in tokenBalances) {
-            const { contractAddress } = tokenBalances[token];
-            if (!updatedTokens[contractAddress])
-                updatedTokens[contractAddress] = await getERC20(
-                    account,
-                    contractAddress,
-                    tokens
-                );
-        }
-    }
-    if (setTokens) {
-        setItemByChainAndIds("tokens", [account], updatedTokens);
-        setTokens(updatedTokens);
-    }
-    return updatedTokens;
+export async function getTokenRegistry(account) {
+    const { chainId } = await ethersProvider.getNetwork();
+    const key = `${chainId}:${account.toLowerCase()}`;
+    if (!tokenRegistries[key])
+        tokenRegistries[key] = createTokenRegistry(
+            account,
+            chainId,
+            tokenPriceFeed
+        );
+    return tokenRegistries[key];
 }
 
 /**
- * Sends NFT
- * @param {string} publicKey address to send from
- * @param {string} proxyWallet address to send to
- * @param {string} tokenAddress NFT address
- * @param {Number} tokenId NFT id
- * @returns {Promise<TransactionResponse>}
+ * Sets the price feed used for USD values of tokens
+ * @param {function} feed See createCoinGeckoPriceFeed()
  */
-export async function sendNFT(publicKey, proxyWallet, tokenAddress, tokenId) {
-    const contract = new ethers.Contract(
-        tokenAddress,
-        CONTRACT_ABIS["NFT"],
-        ethersProvider.getSigner()
-    );
-    const tx = await contract["safeTransferFrom(address,address,uint256)"](
-        publicKey,
-        proxyWallet,
-        tokenId
+export function setTokenPriceFeed(feed) {
+    tokenPriceFeed = feed;
+    Object.values(tokenRegistries).forEach((registry) =>
+        registry.setPriceFeed(feed)
     );
-    return tx;
 }
 
 /**
- * Gets NFTs owned by a proxy wallet
- * @param {string} proxyWallet
- * @returns {Promise<Array, Array>} Rented and deposited NFTs
+ * Updates tokens for account. Balances come from one getTokenBalances call plus one
+ * multicall for known tokens it leaves out, decimals and symbols from the token info
+ * cache. setTokens receives partial updates as tokens resolve. Tokens are decorated by
+ * the account's token registry with logo, spam flags, pinned, hidden and USD prices.
+ * @param {string} account Account to fetch tokens for
+ * @param {Array} tokens
+ * @param {function} setTokens
+ * @param {Object} options
+ * @param {Number} [options.concurrency] Token metadata lookups in flight at once
  */
-export async function getWalletNfts(proxyWallet, page) {
-    if (!proxyWallet) return [[], []];
+export async function getAllTokens(
+    account,
+    tokens,
+    setTokens,
+    { concurrency = TOKEN_CONCURRENCY } = {}
+) {
+    const updatedTokens = { ...tokens };
+    const publish = () => setTokens && setTokens({ ...updatedTokens });
+    const native = getEthBalance(account).then((token) => {
+        if (token) updatedTokens[getNativeCurrency()] = token;
+        publish();
+    });
+    if (!account) {
+        await native;
+        return updatedTokens;
+    }
 
-    const pageSize = 12;
-    let deposits = [];
-    let rentals = [];
-    const data = await alchemy.nft.getNftsForOwner(proxyWallet);
-    // const rentStorage = new ethers.Contract(
-    //   CONTRACT_ADDRESSES["RENTSTORAGE"],
-    //   CONTRACT_ABIS["RENTSTORAGE"],
-    //   ethersProvider
-    // );
-    const rentStorage = new CustomContract(
-        CONTRACT_ADDRESSES["RENTSTORAGE"],
-        CONTRACT_ABIS["RENTSTORAGE"],
-        ethersProvider
+    // Balances are still listed without the registry, only undecorated
+    let registry = null;
+    try {
+        registry = await getTokenRegistry(account);
+    } catch (error) {
+        console.log("get token registry error", error);
+    }
+    // Keep the keys tokens already use, Alchemy returns lower case addresses
+    const keys = {};
+    for (const key in tokens) {
+        if (key !== getNativeCurrency()) keys[key.toLowerCase()] = key;
+    }
+    for (const address of registry ? registry.getTrackedAddresses() : []) {
+        if (!keys[address]) keys[address] = address;
+    }
+    const balances = {};
+    try {
+        const { tokenBalances } = await dataSource.getTokenBalances(account);
+        for (const { contractAddress, tokenBalance } of tokenBalances) {
+            const balance = ethers.BigNumber.from(tokenBalance || 0);
+            const address = contractAddress.toLowerCase();
+            // Alchemy also lists contracts the account no longer holds
+            if (balance.isZero() && !keys[address]) continue;
+            balances[address] = balance;
+            if (!keys[address]) keys[address] = address;
+        }
+    } catch (error) {
+        console.log("get token balances error", error);
+    }
+    const missing = Object.keys(keys).filter(
+        (address) => balances[address] === undefined
     );
-    let count = 0;
-    for (const nft of data.ownedNfts) {
-        count++;
-        if (Math.ceil(count / pageSize) === page) {
-            const metaData = await repackageMetadata(nft);
-            // const rentEndTime = (
-            //   await rentStorage.getLockedTill(
-            //     await rentStorage["getTokenId(address,uint256)"](
-            //       metaData.address,
-            //       metaData.tokenId
-            //     )
-            //   )
-            // ).toNumber();
-            const tokenId = await rentStorage.callWithRetry(
-                "getTokenId(address,uint256)",
-                [metaData.address, metaData.tokenId]
-            );
-            const rentEndTime = (
-                await rentStorage.callWithRetry("getLockedTill", [tokenId])
-            ).toNumber();
-            if (!rentEndTime) {
-                deposits.push(metaData);
-            } else {
-                rentals.push({
-                    ...metaData,
-                    end: rentEndTime,
-                });
-            }
-            if (deposits.length + rentals.length === pageSize) {
-                break;
+    try {
+        const missingBalances = await multicall(
+            ethersProvider,
+            missing.map((address) => ({
+                contract: new ethers.Contract(
+                    address,
+                    CONTRACT_ABIS["ERC20"],
+                    ethersProvider
+                ),
+                method: "balanceOf",
+                args: [account],
+            })),
+            { allowFailure: true }
+        );
+        missing.forEach((address, i) => {
+            if (missingBalances[i]) balances[address] = missingBalances[i];
+        });
+    } catch (error) {
+        console.log("get missing token balances error", error);
+    }
+
+    await mapWithConcurrency(
+        Object.keys(keys),
+        concurrency,
+        async (address) => {
+            if (balances[address] === undefined) return;
+            try {
+                const { decimals, symbol } = await getTokenInfo(address);
+                updatedTokens[keys[address]] = {
+                    ...updatedTokens[keys[address]],
+                    decimals,
+                    name: symbol,
+                    address: keys[address],
+                    amount: Amount.from(balances[address], decimals).toString(),
+                };
+                publish();
+            } catch (error) {
+                console.log("get token info error", error);
             }
         }
+    );
+    await native;
+    if (registry) {
+        try {
+            Object.assign(
+                updatedTokens,
+                await registry.decorate(updatedTokens, getNativeCurrency())
+            );
+        } catch (error) {
+            console.log("decorate tokens error", error);
+        }
+    }
+    if (setTokens) {
+        setItemByChainAndIds("tokens", [account], updatedTokens);
+        setTokens(updatedTokens);
+    }
+    return updatedTokens;
+}
+
+/**
+ * Sends NFT
+ * @param {string} publicKey address to send from
+ * @param {string} proxyWallet address to send to
+ * @param {string} tokenAddress NFT address
+ * @param {Number} tokenId NFT id
+ * @param {Number} [amount] Number of tokens for ERC-1155
+ * @returns {Promise<TransactionResponse>}
+ */
+export async function sendNFT(
+    publicKey,
+    proxyWallet,
+    tokenAddress,
+    tokenId,
+    amount = 1
+) {
+    const standard = await detectTokenStandard(ethersProvider, tokenAddress);
+    const contract = getNftContract(
+        tokenAddress,
+        standard,
+        ethersProvider.getSigner()
+    );
+    const [method, args] = getNftTransfer(
+        publicKey,
+        proxyWallet,
+        tokenId,
+        standard,
+        amount
+    );
+    const response = await sendContractTransaction(contract, method, args, {
+        policy: feePolicy,
+    });
+    await trackTransaction(response, TX_KIND.DEPOSIT, [
+        { address: tokenAddress, tokenId, amount: String(amount) },
+    ]);
+    return response;
+}
+
+/**
+ * @param {string} owner
+ * @param {Array<string>} contractAddresses Contract filter, all contracts if empty
+ * @param {Number} pageSize
+ * @returns {Array<string>} Cached Alchemy page keys, indexed by zero based page
+ */
+function getPageCursors(owner, contractAddresses, pageSize) {
+    const key = [
+        owner.toLowerCase(),
+        (contractAddresses || [])
+            .map((address) => address.toLowerCase())
+            .sort(),
+        pageSize,
+    ].join(":");
+    if (!pageCursors[key]) pageCursors[key] = [null];
+    return pageCursors[key];
+}
+
+/**
+ * Fetches one page of NFTs owned by an address and caches the cursor of the next page
+ * @param {string} owner
+ * @param {Object} options
+ * @param {string} [options.cursor] Cursor returned with the previous page, first page if empty
+ * @param {Number} [options.pageSize]
+ * @param {Array<string>} [options.contractAddresses] Only include NFTs from these contracts
+ * @returns {Promise<{items: Array, nextCursor: string, total: Number}>} Raw Alchemy NFTs
+ */
+async function getNftPage(
+    owner,
+    { cursor = null, pageSize = DEFAULT_PAGE_SIZE, contractAddresses } = {}
+) {
+    const response = await dataSource.getNftsForOwner(owner, {
+        contractAddresses,
+        pageKey: cursor || undefined,
+        pageSize,
+    });
+    const nextCursor = response.pageKey || null;
+    const cursors = getPageCursors(owner, contractAddresses, pageSize);
+    const index = cursors.indexOf(cursor);
+    if (index !== -1 && nextCursor) cursors[index + 1] = nextCursor;
+    return {
+        items: response.ownedNfts,
+        nextCursor,
+        total: response.totalCount,
+    };
+}
+
+/**
+ * Resolves the cursor of a page number, only fetching pages past the last cached cursor
+ * @param {string} owner
+ * @param {Number} page One based page number
+ * @param {Object} options See getNftPage()
+ * @returns {Promise<string|undefined>} Cursor of the page, undefined if out of range
+ */
+async function getPageCursor(owner, page, options = {}) {
+    const { pageSize = DEFAULT_PAGE_SIZE, contractAddresses } = options;
+    const cursors = getPageCursors(owner, contractAddresses, pageSize);
+    while (cursors.length < page) {
+        const { nextCursor } = await getNftPage(owner, {
+            ...options,
+            cursor: cursors[cursors.length - 1],
+        });
+        if (!nextCursor) return undefined;
+    }
+    return cursors[page - 1];
+}
+
+/**
+ * Clears cached page cursors, e.g. after NFTs were deposited or withdrawn
+ * @param {string} [owner] Only clear the cursors of this owner
+ */
+export function clearPageCursors(owner) {
+    if (!owner) {
+        pageCursors = {};
+        return;
+    }
+    const prefix = `${owner.toLowerCase()}:`;
+    for (const key in pageCursors) {
+        if (key.startsWith(prefix)) delete pageCursors[key];
     }
+}
+
+/**
+ * Gets a page of NFTs owned by a proxy wallet
+ * @param {string} proxyWallet
+ * @param {Object} options
+ * @param {string} [options.cursor] nextCursor of the previous page, first page if empty
+ * @param {Number} [options.pageSize]
+ * @returns {Promise<{items: Array, nextCursor: string, total: Number}>} NFTs with their
+ * rental status as `rental` and rent end time as `end`, 0 for deposits
+ */
+export async function getWalletNftsPage(proxyWallet, options = {}) {
+    if (!proxyWallet) return { items: [], nextCursor: null, total: 0 };
+    const { items, nextCursor, total } = await getNftPage(proxyWallet, options);
+    const [metaDatas, rentals] = await Promise.all([
+        repackageNfts(items),
+        getRentalStatuses(items.map(toNftRef)),
+    ]);
+    return {
+        items: metaDatas.map((metaData, i) => ({
+            ...metaData,
+            rental: rentals[i],
+            end: rentals[i].end || 0,
+        })),
+        nextCursor,
+        total,
+    };
+}
+
+/**
+ * Gets NFTs owned by a proxy wallet
+ * @param {string} proxyWallet
+ * @param {Number} page One based page number
+ * @returns {Promise<Array, Array>} Rented and deposited NFTs
+ */
+export async function getWalletNfts(proxyWallet, page) {
+    if (!proxyWallet) return [[], []];
+
+    let deposits = [];
+    let rentals = [];
+    const cursor = await getPageCursor(proxyWallet, page);
+    if (cursor === undefined) return { rentals, deposits };
+    const { items } = await getWalletNftsPage(proxyWallet, { cursor });
+    items.forEach(({ end, ...metaData }) => {
+        if (!end) {
+            deposits.push(metaData);
+        } else {
+            rentals.push({
+                ...metaData,
+                end,
+            });
+        }
+    });
     return { rentals, deposits };
 }
 
@@ -686,374 +1286,1016 @@ export async function getWalletNfts(proxyWallet, page) {
 export async function getTotalWalletNfts(walletAddress, type) {
     if (!walletAddress) return 0;
 
-    let retryCount = 0;
-    const initialDelay = 1000;
-    let rentedCount = 0;
-    let ownedCount = 0;
+    const nfts = [];
+    for await (const nft of dataSource.getNftsForOwnerIterator(walletAddress, {
+        pageSize: MAX_PAGE_SIZE,
+    })) {
+        nfts.push(nft);
+    }
+    const rentals = await getRentalStatuses(nfts.map(toNftRef));
+    // renter is the ownerOf result, ERC-1155 tokens have none
+    const rentedCount = rentals.filter(
+        ({ status }) =>
+            status === RENTAL_STATUS.RENTED || status === RENTAL_STATUS.EXPIRED
+    ).length;
+    const ownedCount = rentals.length - rentedCount;
+    return type === "rented" ? rentedCount : ownedCount;
+}
 
-    while (true) {
+/**
+ * Withdraw NFT from proxy wallet
+ * @param {string} publicKey Address to send NFT to
+ * @param {string} proxyWallet Proxy wallet to send from
+ * @param {string} nftAddress Address of NFT
+ * @param {Number} tokenId Id of NFT
+ * @param {Number} [amount] Number of tokens for ERC-1155
+ * @returns {Promise<TransactionResponse>}
+ */
+export async function withdrawNFT(
+    publicKey,
+    proxyWallet,
+    nftAddress,
+    tokenId,
+    amount = 1
+) {
+    const tx = buildNftWithdrawal(
+        proxyWallet,
+        publicKey,
+        nftAddress,
+        tokenId,
+        await detectTokenStandard(ethersProvider, nftAddress),
+        amount
+    );
+    const hash = await dataSource.sendTransactions(publicKey, [tx]);
+    await trackTransaction(
+        hash,
+        TX_KIND.WITHDRAW,
+        [{ address: nftAddress, tokenId, amount: String(amount) }],
+        true
+    );
+    return await ethersProvider.getTransaction(hash);
+}
+
+/**
+ * Lists everything a proxy wallet can withdraw: its native balance, ERC20s with a
+ * balance and NFTs that are not currently rented
+ * @param {string} proxyWallet
+ * @returns {Promise<Array>} Assets { type, address, amount, decimals, tokenId }, amount
+ * is the number of tokens for ERC-1155
+ */
+export async function getWithdrawableAssets(proxyWallet) {
+    const [balance, { tokenBalances }] = await Promise.all([
+        ethersProvider.getBalance(proxyWallet),
+        dataSource.getTokenBalances(proxyWallet),
+    ]);
+    const assets = [];
+    if (!balance.isZero()) {
+        assets.push({
+            type: ASSET_TYPE.NATIVE,
+            address: getNativeCurrency(),
+            amount: Amount.from(balance, NATIVE_DECIMALS),
+            decimals: NATIVE_DECIMALS,
+        });
+    }
+    for (const { contractAddress, tokenBalance } of tokenBalances) {
+        if (ethers.BigNumber.from(tokenBalance || 0).isZero()) continue;
+        const { decimals } = await dataSource.getTokenMetadata(contractAddress);
+        if (decimals === null || decimals === undefined) continue;
+        assets.push({
+            type: ASSET_TYPE.ERC20,
+            address: contractAddress,
+            amount: Amount.from(ethers.BigNumber.from(tokenBalance), decimals),
+            decimals,
+        });
+    }
+    const nfts = [];
+    for await (const nft of dataSource.getNftsForOwnerIterator(proxyWallet, {
+        pageSize: MAX_PAGE_SIZE,
+    })) {
+        const standard =
+            getNftStandard(nft) ||
+            (await detectTokenStandard(ethersProvider, nft.contract.address));
+        nfts.push({
+            ...toNftRef(nft),
+            type:
+                standard === TOKEN_STANDARD.ERC1155
+                    ? ASSET_TYPE.ERC1155
+                    : ASSET_TYPE.ERC721,
+            amount:
+                standard === TOKEN_STANDARD.ERC1155 ? nft.balance : undefined,
+        });
+    }
+    const rentals = await getRentalStatuses(nfts);
+    nfts.forEach((nft, i) => {
+        // Rented and expired NFTs belong to a lender until they are returned
+        if (rentals[i].status !== RENTAL_STATUS.AVAILABLE) return;
+        assets.push(nft);
+    });
+    return assets;
+}
+
+/**
+ * @param {Object} rental Rental status, see toRentalStatus()
+ * @throws {Error} Unless the NFT is the proxy wallet's own, not rented and not due back
+ */
+function assertWithdrawable(rental) {
+    if (rental.status === RENTAL_STATUS.RENTED)
+        throw new Error("NFT is rented");
+    if (rental.status === RENTAL_STATUS.EXPIRED)
+        throw new Error(
+            "NFT rental expired, it must be returned to the lender"
+        );
+    if (rental.status !== RENTAL_STATUS.AVAILABLE)
+        throw new Error("NFT is not withdrawable");
+}
+
+/**
+ * Validates requested withdrawals against the proxy wallet's balances and ownership
+ * and builds a relayed transaction for each valid one
+ * @param {string} publicKey Address to withdraw to
+ * @param {string} proxyWallet
+ * @param {Array} assets See withdrawAssets()
+ * @returns {Promise<Array>} { asset, tx, error } per asset
+ */
+async function prepareWithdrawals(publicKey, proxyWallet, assets) {
+    const isToken = (asset) =>
+        [ASSET_TYPE.ERC20, ASSET_TYPE.ERC721, ASSET_TYPE.ERC1155].includes(
+            asset.type
+        ) && ethers.utils.isAddress(asset.address);
+    const nfts = assets.filter(
+        (asset) => asset.type !== ASSET_TYPE.ERC20 && isToken(asset)
+    );
+    const [balance, results, rentals] = await Promise.all([
+        ethersProvider.getBalance(proxyWallet),
+        multicall(
+            ethersProvider,
+            assets.filter(isToken).map(({ type, address, tokenId }) => {
+                if (type === ASSET_TYPE.ERC20)
+                    return {
+                        contract: new ethers.Contract(
+                            address,
+                            CONTRACT_ABIS["ERC20"],
+                            ethersProvider
+                        ),
+                        method: "balanceOf",
+                        args: [proxyWallet],
+                    };
+                if (type === ASSET_TYPE.ERC1155)
+                    return {
+                        contract: getNftContract(
+                            address,
+                            TOKEN_STANDARD.ERC1155,
+                            ethersProvider
+                        ),
+                        method: "balanceOf",
+                        args: [proxyWallet, tokenId],
+                    };
+                return {
+                    contract: getNftContract(
+                        address,
+                        TOKEN_STANDARD.ERC721,
+                        ethersProvider
+                    ),
+                    method: "ownerOf",
+                    args: [tokenId],
+                };
+            }),
+            { allowFailure: true }
+        ),
+        getRentalStatuses(nfts),
+    ]);
+    let nativeLeft = Amount.from(balance, NATIVE_DECIMALS);
+    let tokenIndex = 0;
+    const prepared = [];
+    for (const asset of assets) {
+        const result = isToken(asset) ? results[tokenIndex++] : undefined;
         try {
-            const data = await alchemy.nft.getNftsForOwner(walletAddress);
-            // const rentStorage = new ethers.Contract(
-            //   CONTRACT_ADDRESSES["RENTSTORAGE"],
-            //   CONTRACT_ABIS["RENTSTORAGE"],
-            //   ethersProvider
-            // );
-            const rentStorage = new CustomContract(
-                CONTRACT_ADDRESSES["RENTSTORAGE"],
-                CONTRACT_ABIS["RENTSTORAGE"],
-                ethersProvider
-            );
-            for (const nft of data.ownedNfts) {
-                const metaData = await repackageMetadata(nft);
-                // const rentEndTime = (
-                //   await rentStorage.getLockedTill(
-                //     await rentStorage["getTokenId(address,uint256)"](
-                //       metaData.address,
-                //       metaData.tokenId
-                //     )
-                //   )
-                // ).toNumber();
-                const tokenId = await rentStorage.callWithRetry(
-                    "getTokenId(address,uint256)",
-                    [metaData.address, metaData.tokenId]
+            let tx;
+            if (asset.type === ASSET_TYPE.NATIVE) {
+                const amount = Amount.from(asset.amount, NATIVE_DECIMALS);
+                if (amount.isZero() || amount.isNegative())
+                    throw new Error("Amount must be positive");
+                if (amount.gt(nativeLeft))
+                    throw new Error("Amount exceeds balance");
+                nativeLeft = nativeLeft.sub(amount);
+                tx = buildNativeWithdrawal(proxyWallet, publicKey, amount);
+            } else if (!isToken(asset)) {
+                throw new Error(`Invalid asset ${asset.type} ${asset.address}`);
+            } else if (asset.type === ASSET_TYPE.ERC20) {
+                const decimals =
+                    asset.decimals ??
+                    (await dataSource.getTokenMetadata(asset.address)).decimals;
+                if (decimals === null || decimals === undefined)
+                    throw new Error("Unknown token decimals");
+                const amount = Amount.from(asset.amount, decimals);
+                if (amount.isZero() || amount.isNegative())
+                    throw new Error("Amount must be positive");
+                if (!result || amount.gt(Amount.from(result, decimals)))
+                    throw new Error("Amount exceeds balance");
+                tx = buildERC20Withdrawal(
+                    proxyWallet,
+                    publicKey,
+                    asset.address,
+                    amount,
+                    decimals
+                );
+            } else if (asset.type === ASSET_TYPE.ERC1155) {
+                const rental = rentals[nfts.indexOf(asset)];
+                const amount = ethers.BigNumber.from(asset.amount ?? 1);
+                if (amount.lte(0)) throw new Error("Amount must be positive");
+                if (!result || amount.gt(result))
+                    throw new Error("Amount exceeds balance");
+                assertWithdrawable(rental);
+                tx = buildNftWithdrawal(
+                    proxyWallet,
+                    publicKey,
+                    asset.address,
+                    asset.tokenId,
+                    TOKEN_STANDARD.ERC1155,
+                    amount
+                );
+            } else {
+                const rental = rentals[nfts.indexOf(asset)];
+                if (
+                    !result ||
+                    result.toLowerCase() !== proxyWallet.toLowerCase()
+                )
+                    throw new Error("NFT is not in the proxy wallet");
+                assertWithdrawable(rental);
+                tx = buildNftWithdrawal(
+                    proxyWallet,
+                    publicKey,
+                    asset.address,
+                    asset.tokenId
                 );
-                const rentEndTime = (
-                    await rentStorage.callWithRetry("getLockedTill", [tokenId])
-                ).toNumber();
-                if (!rentEndTime) {
-                    ownedCount++;
-                } else {
-                    rentedCount++;
-                }
             }
-            break;
+            prepared.push({ asset, tx, error: null });
         } catch (error) {
-            console.log("ERROR", error);
-            await sleep(initialDelay * Math.pow(2, retryCount));
-            retryCount++;
-            // Limit max number of retries to prevent infinite loop
-            if (retryCount >= 5) {
-                throw new Error("Max retry count reached");
-            }
+            prepared.push({ asset, tx: null, error: error.message });
+        }
+    }
+    return prepared;
+}
+
+/**
+ * Withdraws several assets from the proxy wallet in one relayed batch. Invalid assets
+ * are reported and left out of the batch.
+ * @param {string} publicKey Address to withdraw to
+ * @param {string} proxyWallet
+ * @param {Array|string} assets { type, address, amount, decimals, tokenId } with type an
+ * ASSET_TYPE and amount a decimal string or Amount (a token count for ERC-1155), or
+ * WITHDRAW_ALL for everything withdrawable
+ * @returns {Promise<Array>} { asset, status, hash, error } per asset with status a TRANSFER_STATUS
+ */
+export async function withdrawAssets(
+    publicKey,
+    proxyWallet,
+    assets = WITHDRAW_ALL
+) {
+    if (!publicKey || !proxyWallet) return [];
+    const requested =
+        assets === WITHDRAW_ALL
+            ? await getWithdrawableAssets(proxyWallet)
+            : assets;
+    const prepared = await prepareWithdrawals(
+        publicKey,
+        proxyWallet,
+        requested
+    );
+    const valid = prepared.filter(({ error }) => !error);
+    let hash = null;
+    let sendError = null;
+    if (valid.length) {
+        try {
+            hash = await dataSource.sendTransactions(
+                publicKey,
+                valid.map(({ tx }) => tx)
+            );
+            await trackTransaction(
+                hash,
+                TX_KIND.WITHDRAW,
+                valid.map(({ asset }) => ({
+                    address: asset.address,
+                    tokenId: asset.tokenId,
+                    amount: asset.amount?.toString(),
+                })),
+                true
+            );
+        } catch (error) {
+            console.log("withdraw assets error", error);
+            sendError = error.message;
         }
     }
-    return type === "rented" ? rentedCount : ownedCount;
+    return prepared.map(({ asset, error }) => {
+        if (error)
+            return {
+                asset,
+                status: TRANSFER_STATUS.INVALID,
+                hash: null,
+                error,
+            };
+        if (sendError)
+            return {
+                asset,
+                status: TRANSFER_STATUS.FAILED,
+                hash: null,
+                error: sendError,
+            };
+        return {
+            asset,
+            status: TRANSFER_STATUS.SUBMITTED,
+            hash,
+            error: null,
+        };
+    });
+}
+
+/**
+ * Makes sure the proxy wallet may move the owner's NFTs of a collection, asking for
+ * setApprovalForAll once if it may not
+ * @param {string} publicKey Owner of the NFTs
+ * @param {string} proxyWallet Operator to approve
+ * @param {string} address NFT contract address
+ * @param {TOKEN_STANDARD} standard
+ */
+async function ensureCollectionApproval(
+    publicKey,
+    proxyWallet,
+    address,
+    standard
+) {
+    const contract = getNftContract(
+        address,
+        standard,
+        ethersProvider.getSigner(publicKey)
+    );
+    if (
+        await callWithRetry(contract, "isApprovedForAll", [
+            publicKey,
+            proxyWallet,
+        ])
+    )
+        return;
+    const response = await sendContractTransaction(
+        contract,
+        "setApprovalForAll",
+        [proxyWallet, true],
+        { policy: feePolicy }
+    );
+    await trackTransaction(response, TX_KIND.APPROVE, [{ address }]);
+    // The relayed transfers fail until the approval is mined
+    await response.wait();
+}
+
+/**
+ * Plans how an asset is deposited: ERC20s with EIP-2612 through a signed permit and
+ * NFTs through a collection approval are relayed, everything else is sent from the wallet
+ * @param {string} publicKey
+ * @param {string} proxyWallet
+ * @param {Object} asset See depositAssets()
+ * @param {Object} approved Collections already approved during this deposit
+ * @returns {Promise<Object>} { method, txs } for relayed deposits or { method, send }
+ */
+async function planDeposit(publicKey, proxyWallet, asset, approved) {
+    const signer = ethersProvider.getSigner(publicKey);
+    if (asset.type === ASSET_TYPE.NATIVE) {
+        return {
+            method: DEPOSIT_METHOD.TRANSFER,
+            send: () => sendEth(publicKey, proxyWallet, asset.amount),
+        };
+    }
+    if (!ethers.utils.isAddress(asset.address))
+        throw new Error(`Invalid asset ${asset.type} ${asset.address}`);
+    if (asset.type === ASSET_TYPE.ERC20) {
+        const decimals =
+            asset.decimals ??
+            (await dataSource.getTokenMetadata(asset.address)).decimals;
+        if (decimals === null || decimals === undefined)
+            throw new Error("Unknown token decimals");
+        const amount = Amount.from(asset.amount, decimals);
+        if (amount.isZero() || amount.isNegative())
+            throw new Error("Amount must be positive");
+        const transfer = {
+            method: DEPOSIT_METHOD.TRANSFER,
+            send: () =>
+                sendERC20(
+                    asset.address,
+                    { [asset.address]: { decimals } },
+                    proxyWallet,
+                    amount.toString()
+                ),
+        };
+        const domain = await getPermitDomain(ethersProvider, asset.address);
+        if (!domain) return transfer;
+        const permit = await signPermit(signer, domain, {
+            owner: publicKey,
+            spender: proxyWallet,
+            value: amount.toBigNumber(),
+        });
+        // A permit that reverts would fail the whole relayed batch
+        if (!(await simulatePermit(ethersProvider, asset.address, permit)))
+            return transfer;
+        return {
+            method: DEPOSIT_METHOD.PERMIT,
+            txs: buildPermitTransfer(asset.address, permit),
+        };
+    }
+    if (![ASSET_TYPE.ERC721, ASSET_TYPE.ERC1155].includes(asset.type))
+        throw new Error(`Invalid asset ${asset.type} ${asset.address}`);
+    const standard =
+        asset.type === ASSET_TYPE.ERC1155
+            ? TOKEN_STANDARD.ERC1155
+            : TOKEN_STANDARD.ERC721;
+    const amount = ethers.BigNumber.from(asset.amount ?? 1);
+    if (amount.lte(0)) throw new Error("Amount must be positive");
+    const collection = asset.address.toLowerCase();
+    if (!approved[collection]) {
+        approved[collection] = ensureCollectionApproval(
+            publicKey,
+            proxyWallet,
+            asset.address,
+            standard
+        );
+    }
+    await approved[collection];
+    const [method, args] = getNftTransfer(
+        publicKey,
+        proxyWallet,
+        asset.tokenId,
+        standard,
+        amount
+    );
+    return {
+        method: DEPOSIT_METHOD.APPROVAL,
+        txs: [
+            {
+                from: proxyWallet,
+                to: asset.address,
+                data: getNftContract(
+                    asset.address,
+                    standard
+                ).interface.encodeFunctionData(method, args),
+            },
+        ],
+    };
+}
+
+/**
+ * Deposits several assets into the proxy wallet. ERC20s supporting EIP-2612 are
+ * deposited with a permit signature and NFTs with one setApprovalForAll per collection,
+ * all relayed in one batch. Native currency and ERC20s without permit are sent from the wallet.
+ * @param {string} publicKey Address to deposit from
+ * @param {string} proxyWallet
+ * @param {Array} assets { type, address, amount, decimals, tokenId } with type an
+ * ASSET_TYPE and amount a decimal string or Amount (a token count for ERC-1155)
+ * @returns {Promise<Array>} { asset, method, status, hash, error } per asset with method a
+ * DEPOSIT_METHOD and status a TRANSFER_STATUS
+ */
+export async function depositAssets(publicKey, proxyWallet, assets) {
+    if (!publicKey || !proxyWallet || !assets) return [];
+    const approved = {};
+    const plans = [];
+    // Sequential so the wallet prompts for signatures and approvals one at a time
+    for (const asset of assets) {
+        try {
+            plans.push({
+                asset,
+                ...(await planDeposit(publicKey, proxyWallet, asset, approved)),
+            });
+        } catch (error) {
+            console.log("plan deposit error", error);
+            plans.push({ asset, error: error.message });
+        }
+    }
+    const results = new Map();
+    plans
+        .filter(({ error }) => error)
+        .forEach(({ asset, error }) =>
+            results.set(asset, {
+                asset,
+                method: null,
+                status: TRANSFER_STATUS.INVALID,
+                hash: null,
+                error,
+            })
+        );
+    const relayed = plans.filter(({ txs }) => txs);
+    if (relayed.length) {
+        let hash = null;
+        let sendError = null;
+        try {
+            hash = await dataSource.sendTransactions(
+                publicKey,
+                relayed.flatMap(({ txs }) => txs)
+            );
+            await trackTransaction(
+                hash,
+                TX_KIND.DEPOSIT,
+                relayed.map(({ asset }) => ({
+                    address: asset.address,
+                    tokenId: asset.tokenId,
+                    amount: asset.amount?.toString(),
+                })),
+                true
+            );
+        } catch (error) {
+            console.log("relay deposit error", error);
+            sendError = error.message;
+        }
+        relayed.forEach(({ asset, method }) =>
+            results.set(asset, {
+                asset,
+                method,
+                status: sendError
+                    ? TRANSFER_STATUS.FAILED
+                    : TRANSFER_STATUS.SUBMITTED,
+                hash,
+                error: sendError,
+            })
+        );
+    }
+    for (const { asset, method, send } of plans.filter(({ send }) => send)) {
+        try {
+            const response = await send();
+            results.set(asset, {
+                asset,
+                method,
+                status: TRANSFER_STATUS.SUBMITTED,
+                hash: response?.hash ?? null,
+                error: null,
+            });
+        } catch (error) {
+            console.log("deposit error", error);
+            results.set(asset, {
+                asset,
+                method,
+                status: TRANSFER_STATUS.FAILED,
+                hash: null,
+                error: error.message,
+            });
+        }
+    }
+    return assets.map((asset) => results.get(asset));
+}
+
+/**
+ * Gets a page of NFTs owned by vault
+ * @param {Array<string>} addresses Addresses of NFTs to check for
+ * @param {Object} options
+ * @param {string} [options.cursor] nextCursor of the previous page, first page if empty
+ * @param {Number} [options.pageSize]
+ * @returns {Promise<{items: Array, nextCursor: string, total: Number}>}
+ */
+export async function getVaultNftsPage(addresses, options = {}) {
+    if (!addresses || !addresses.length)
+        return { items: [], nextCursor: null, total: 0 };
+    const { items, nextCursor, total } = await getNftPage(
+        CONTRACT_ADDRESSES["VAULT"],
+        { ...options, contractAddresses: addresses }
+    );
+    return { items: await repackageNfts(items), nextCursor, total };
+}
+
+/**
+ * Gets NFTs owned by vault
+ * @param {Array<string>} addresses Addresses of NFTs to check for
+ * @param {Number} page One based page number
+ * @returns {Promise<Array>}
+ */
+export async function getVaultNFTs(addresses, page) {
+    if (!addresses || !addresses.length) return [];
+    const cursor = await getPageCursor(CONTRACT_ADDRESSES["VAULT"], page, {
+        contractAddresses: addresses,
+    });
+    if (cursor === undefined) return [];
+    const { items } = await getVaultNftsPage(addresses, { cursor });
+    return items;
+}
+
+/**
+ * Get count of NFTs owned by vault
+ */
+export async function getTotalNFTs(addresses) {
+    if (!addresses || !addresses.length) return 0;
+    const { totalCount } = await dataSource.getNftsForOwner(
+        CONTRACT_ADDRESSES["VAULT"],
+        { contractAddresses: addresses, pageSize: 1 }
+    );
+    return totalCount;
+}
+
+/**
+ * Splits a cart into withdrawMultiple arguments, applying credits with the given strategy
+ * @param {Array} nfts NFTs with address, tokenId and fee as an Amount or decimal string
+ * @param {Amount|string} totalCreditUsed Credits to apply
+ * @param {CREDIT_STRATEGY} [strategy] Defaults to cart order
+ * @param {Object} [creditMap] Credit per NFT for CREDIT_STRATEGY.EXPLICIT, see creditKey()
+ * @returns {Object} Fees and credits as Amounts, plus the encoded values and creditUsed
+ */
+function processNfts(nfts, totalCreditUsed, strategy, creditMap) {
+    const fees = nfts.map((nft) => Amount.from(nft.fee));
+    const credits = allocateCredits(
+        nfts.map((nft, i) => ({ ...nft, fee: fees[i] })),
+        totalCreditUsed,
+        strategy,
+        { creditMap }
+    );
+
+    return {
+        totalFee: Amount.sum(fees),
+        nftAddresses: nfts.map((nft) => nft.address),
+        tokenIds: nfts.map((nft) => nft.tokenId),
+        fees,
+        credits,
+        values: fees.map((fee) => fee.toHexString()),
+        creditUsed: credits.map((credit) => credit.toBigNumber()),
+    };
+}
+
+/**
+ * Quotes a checkout and simulates it against the vault so reverts surface before signing
+ * @param {Array} nfts NFTs in the cart with address, tokenId and fee as an Amount or
+ * decimal string, numbers are rejected
+ * @param {Amount|string} credits Rent credits to apply
+ * @param {Object} options
+ * @param {string} options.proxyWallet Proxy wallet receiving the NFTs
+ * @param {string} [options.signer] Account signing in its wallet, relayed from the proxy wallet if empty
+ * @param {CREDIT_STRATEGY} [options.strategy] How credits are split over the cart
+ * @param {Object} [options.creditMap] Credit per NFT for CREDIT_STRATEGY.EXPLICIT, see creditKey()
+ * @returns {Promise<Object>} Quote with per NFT fee and credit, native total, gas estimate and tx.
+ * Fees, credits and totals are Amounts. Throws "Checkout would revert" on a revert and
+ * the RetryError on network failures.
+ */
+export async function quoteCheckout(
+    nfts,
+    credits,
+    { proxyWallet, signer, strategy = CREDIT_STRATEGY.IN_ORDER, creditMap }
+) {
+    if (!nfts || !nfts.length) throw new Error("Cart is empty");
+    const vault = new ethers.Contract(
+        CONTRACT_ADDRESSES["VAULT"],
+        CONTRACT_ABIS["VAULT"],
+        ethersProvider
+    );
+    const {
+        totalFee,
+        nftAddresses,
+        tokenIds,
+        fees,
+        credits: applied,
+        values,
+        creditUsed,
+    } = processNfts(nfts, credits, strategy, creditMap);
+    const tx = {
+        from: signer || proxyWallet,
+        to: vault.address,
+        data: vault.interface.encodeFunctionData(WITHDRAW_MULTIPLE, [
+            nftAddresses,
+            tokenIds,
+            values,
+            proxyWallet,
+            creditUsed,
+        ]),
+    };
+    // Relayed checkouts pay the fees from the proxy wallet
+    if (!signer) tx.value = totalFee.toHexString();
+    let gasEstimate;
+    try {
+        await withRetry(() => ethersProvider.call(tx), {
+            label: "checkout simulation",
+        });
+        gasEstimate = await withRetry(() => ethersProvider.estimateGas(tx), {
+            label: "checkout gas estimate",
+        });
+    } catch (error) {
+        console.log("checkout simulation error", error);
+        // Network failures surface as the RetryError, not as a revert
+        if (classifyError(error) !== ERROR_KIND.REVERT) throw error;
+        const cause = error.cause || error;
+        throw new Error(
+            `Checkout would revert: ${cause.reason || cause.message}`
+        );
+    }
+    return {
+        items: nfts.map((nft, i) => ({
+            address: nftAddresses[i],
+            tokenId: tokenIds[i],
+            fee: fees[i],
+            creditUsed: applied[i],
+        })),
+        total: totalFee,
+        totalCredit: Amount.sum(applied),
+        strategy,
+        gasEstimate,
+        proxyWallet,
+        signer,
+        tx,
+    };
 }
 
 /**
- * Withdraw NFT from proxy wallet
- * @param {string} publicKey Address to send NFT to
- * @param {string} proxyWallet Proxy wallet to send from
- * @param {string} nftAddress Address of NFT
- * @param {Number} tokenId Id of NFT
+ * @param {Object} quote Result of quoteCheckout()
+ * @returns {Array} NFTs of the checkout with the fee paid for each
+ */
+function getCheckoutAssets(quote) {
+    return quote.items.map(({ address, tokenId, fee }) => ({
+        address,
+        tokenId,
+        amount: fee.toString(),
+    }));
+}
+
+/**
+ * Checkout NFTs from zipzap by relaying a quoted plan through the proxy wallet
+ * @param {string} publicKey
+ * @param {Object} quote Result of quoteCheckout() without signer
  * @returns {Promise<TransactionResponse>}
  */
-export async function withdrawNFT(publicKey, proxyWallet, nftAddress, tokenId) {
-    const nftContract = new ethers.Contract(
-        nftAddress,
-        CONTRACT_ABIS["NFT"],
-        ethersProvider
+export async function checkoutNFTs(publicKey, quote) {
+    if (!quote) return;
+    if (quote.signer) throw new Error("Quote is for a wallet checkout");
+    const hash = await dataSource.sendTransactions(publicKey, [quote.tx]);
+    await trackTransaction(
+        hash,
+        TX_KIND.CHECKOUT,
+        getCheckoutAssets(quote),
+        true
     );
-    const tx = { from: proxyWallet, to: nftAddress };
-    tx.data = (
-        await nftContract.populateTransaction[
-            "safeTransferFrom(address,address,uint256)"
-        ](proxyWallet, publicKey, tokenId)
-    ).data;
-    const hash = await sendTransactions(publicKey, [tx]);
     return await ethersProvider.getTransaction(hash);
 }
 
 /**
- * Gets NFTs owned by vault
- * @param {Array<string>} addresses Addresses of NFTs to check for
- * @returns {Promise<Array>}
+ * Checkout NFTs using MetaMask wallet
+ * @param {Object} quote Result of quoteCheckout() with signer
+ * @returns {Promise<TransactionResponse>}
  */
-export async function getVaultNFTs(addresses, page) {
-    if (!addresses || !addresses.length) return [];
-    const pageSize = 12;
-    const activeNetwork = chainIdToNetwork(await getChainId());
-    const owner = CONTRACT_ADDRESSES["VAULT"];
-
-    const nftsIterator = alchemy.nft.getNftsForOwnerIterator(owner, {
-        contractAddresses: addresses,
-        pageSize,
+export async function checkoutMetamask(quote) {
+    if (!quote.signer) throw new Error("Quote is for a relayed checkout");
+    const signer = ethersProvider.getSigner(quote.tx.from);
+    const response = await sendWithFees(signer, quote.tx, {
+        items: quote.items.length,
+        policy: feePolicy,
     });
-
-    let nfts = [];
-    let count = 0;
-    for await (const nft of nftsIterator) {
-        count++;
-        if (Math.ceil(count / pageSize) === page) {
-            const metaData = await repackageMetadata(nft);
-            nfts.push(metaData);
-        }
-        if (nfts.length === pageSize) {
-            break;
-        }
-    }
-
-    return nfts;
+    await trackTransaction(
+        response,
+        TX_KIND.CHECKOUT,
+        getCheckoutAssets(quote)
+    );
+    return response;
 }
 
 /**
- * Get count of NFTs owned by vault
+ * @param {*} nft Nft object
+ * @returns {string} Token id of the NFT
  */
-export async function getTotalNFTs(addresses) {
-    if (!addresses || !addresses.length) return 0;
-    const activeNetwork = chainIdToNetwork(await getChainId());
-    const owner = CONTRACT_ADDRESSES["VAULT"];
-    const nftsIterator = alchemy.nft.getNftsForOwnerIterator(owner, {
-        contractAddresses: addresses,
-    });
-    let count = 0;
-    for await (const _ of nftsIterator) {
-        count++;
-    }
-    return count;
+function getNftTokenId(nft) {
+    return (nft.id && nft.id.tokenId) || nft.tokenId;
 }
 
-function processNfts(nfts, totalCreditUsed) {
-    let totalFee = ethers.BigNumber.from(0);
-    let nftAddresses = [];
-    let tokenIds = [];
-    let values = [];
-    let creditUsed = [];
-
-    nfts.forEach((nft) => {
-        let nftFeeWei = ethers.utils.parseEther(nft.fee.toFixed(18));
-        totalFee = totalFee.add(nftFeeWei);
-        nftAddresses.push(nft.address);
-        tokenIds.push(nft.tokenId);
-        values.push(ethers.utils.hexStripZeros(nftFeeWei.toHexString()));
-
-        let nftFeeBigNumber =
-            nft.fee < 1e-18 ? ethers.BigNumber.from("0") : nftFeeWei;
+/**
+ * @param {*} nft Nft object
+ * @returns {{address: string, tokenId: string}}
+ */
+function toNftRef(nft) {
+    return { address: nft.contract.address, tokenId: getNftTokenId(nft) };
+}
 
-        // convert totalCreditUsed to BigNumber for comparison and subtraction
-        let totalCreditUsedBigNumber = ethers.BigNumber.from(
-            ethers.utils.parseEther(totalCreditUsed.toFixed(18))
+/**
+ * Finds when an NFT was last transferred from the vault to its renter, through Alchemy's
+ * transfer index rather than a log query over the whole chain
+ * @param {string} address NFT contract address
+ * @param {string} tokenId
+ * @param {string} [renter] Current owner of the NFT, unknown for ERC-1155
+ * @returns {Promise<Number|null>} Unix time in seconds
+ */
+async function getRentalStart(address, tokenId, renter) {
+    const id = ethers.BigNumber.from(tokenId).toString();
+    let pageKey;
+    for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+        const response = await dataSource.getAssetTransfers({
+            fromAddress: CONTRACT_ADDRESSES["VAULT"],
+            toAddress: renter || undefined,
+            contractAddresses: [address],
+            category: [HISTORY_CATEGORY.ERC721, HISTORY_CATEGORY.ERC1155],
+            order: "desc",
+            withMetadata: true,
+            pageKey,
+        });
+        const transfer = response.transfers.find(
+            (transfer) =>
+                transfer.rawContract?.address?.toLowerCase() ===
+                    address.toLowerCase() &&
+                getTransferTokenIds(transfer).includes(id)
         );
-
-        // assign as many credits as possible to each NFT
-        if (totalCreditUsedBigNumber.gte(nftFeeBigNumber)) {
-            creditUsed.push(nftFeeBigNumber);
-            totalCreditUsedBigNumber = totalCreditUsedBigNumber.sub(nftFeeBigNumber);
-        } else {
-            creditUsed.push(totalCreditUsedBigNumber);
-            totalCreditUsedBigNumber = ethers.BigNumber.from("0");
+        if (transfer) {
+            const time = getTransferTime(transfer);
+            if (time !== null) return time;
+            const { timestamp } = await withRetry(
+                () => ethersProvider.getBlock(Number(transfer.blockNum)),
+                { label: "getBlock rental start" }
+            );
+            return timestamp;
         }
-
-        // Convert back to normal number for the next iteration
-        totalCreditUsed = parseFloat(
-            ethers.utils.formatEther(totalCreditUsedBigNumber)
-        );
-    });
-
-    return {
-        totalFee: ethers.utils.hexStripZeros(totalFee.toHexString()),
-        nftAddresses,
-        tokenIds,
-        values,
-        creditUsed,
-    };
+        pageKey = response.pageKey;
+        if (!pageKey) break;
+    }
+    return null;
 }
 
 /**
- * Checkout NFTs from zipzap.
- * NOTE Currently only supports one NFT!
- * @param {string} publicKey
- * @param {string} proxyWallet
- * @param {Array} nfts
- * @returns {Promise<TransactionResponse>}
+ * Gets rental statuses of NFTs with a constant number of batched calls
+ * @param {Array<{address: string, tokenId: string}>} nfts
+ * @param {Object} options
+ * @param {boolean} [options.withStart] Look up rent start times, one transfer query per rental
+ * @returns {Promise<Array>} Rental statuses, see toRentalStatus()
  */
-export async function checkoutNFTs(
-    publicKey,
-    proxyWallet,
-    nfts,
-    totalCreditUsed
-) {
-    console.log(totalCreditUsed);
-    if (!nfts) return;
+export async function getRentalStatuses(nfts, { withStart = false } = {}) {
     const vault = new ethers.Contract(
         CONTRACT_ADDRESSES["VAULT"],
         CONTRACT_ABIS["VAULT"],
         ethersProvider
     );
+    const rentStorage = new ethers.Contract(
+        CONTRACT_ADDRESSES["RENTSTORAGE"],
+        CONTRACT_ABIS["RENTSTORAGE"],
+        ethersProvider
+    );
+    const [storageIds, ownersAndPrices] = await Promise.all([
+        multicall(
+            ethersProvider,
+            nfts.map(({ address, tokenId }) => ({
+                contract: rentStorage,
+                method: "getTokenId(address,uint256)",
+                args: [address, tokenId],
+            }))
+        ),
+        multicall(
+            ethersProvider,
+            nfts.flatMap(({ address, tokenId }) => [
+                {
+                    contract: new ethers.Contract(
+                        address,
+                        CONTRACT_ABIS["NFT"],
+                        ethersProvider
+                    ),
+                    method: "ownerOf",
+                    args: [tokenId],
+                },
+                {
+                    contract: vault,
+                    method: "getPrice",
+                    args: [address, tokenId],
+                },
+            ]),
+            { allowFailure: true }
+        ),
+    ]);
+    const lockedTill = await multicall(
+        ethersProvider,
+        storageIds.map((storageId) => ({
+            contract: rentStorage,
+            method: "getLockedTill",
+            args: [storageId],
+        }))
+    );
+    const timestamp = now();
+    const statuses = nfts.map(({ address, tokenId }, i) =>
+        toRentalStatus({
+            address,
+            tokenId,
+            owner: ownersAndPrices[2 * i],
+            vault: vault.address,
+            lockedTill: lockedTill[i].toNumber(),
+            dailyPrice: Amount.from(ownersAndPrices[2 * i + 1]),
+            timestamp,
+        })
+    );
+    if (!withStart) return statuses;
+    return await Promise.all(
+        statuses.map(async (status) =>
+            status.status === RENTAL_STATUS.RENTED ||
+            status.status === RENTAL_STATUS.EXPIRED
+                ? {
+                      ...status,
+                      start: await getRentalStart(
+                          status.address,
+                          status.tokenId,
+                          status.renter
+                      ),
+                  }
+                : status
+        )
+    );
+}
 
-    let txs = [];
-    let creditUsed = [];
-
-    if (nfts.length === 1) {
-        creditUsed.push(totalCreditUsed);
-        const nft = nfts[0];
-        let nftFeeWei = ethers.utils.parseEther(nft.fee.toFixed(18));
-        const tx = {
-            from: proxyWallet,
-            to: vault.address,
-            value: ethers.utils.hexStripZeros(nftFeeWei.toHexString()),
-        };
-        tx.data = (
-            await vault.populateTransaction["withdraw(address,uint256,uint256)"](
-                nft.address,
-                nft.tokenId,
-                creditUsed[0]
-            )
-        ).data;
-        txs.push(tx);
-    } else {
-        const { totalFee, nftAddresses, tokenIds, values, creditUsed } =
-            processNfts(nfts, totalCreditUsed);
-        console.log(creditUsed);
-        const tx = { from: proxyWallet, to: vault.address, value: totalFee };
-        tx.data = (
-            await vault.populateTransaction[
-                "withdrawMultiple(address[],uint256[],uint256[],address,uint256[])"
-            ](nftAddresses, tokenIds, values, proxyWallet, creditUsed)
-        ).data;
-
-        txs.push(tx);
-    }
-
-    const hashes = await sendTransactions(publicKey, txs);
-    return await ethersProvider.getTransaction(hashes);
+/**
+ * @param {string} nftAddress
+ * @param {string} tokenId
+ * @returns {Promise<Object>} Rental status of the NFT, see toRentalStatus()
+ */
+export async function getRentalStatus(nftAddress, tokenId) {
+    const [status] = await getRentalStatuses(
+        [{ address: nftAddress, tokenId }],
+        { withStart: true }
+    );
+    return status;
 }
 
 /**
- * Checkout NFTs using MetaMask wallet
+ * Repackages NFTs for display on ZipZap, fetching vault prices and values in one batch
+ * @param {Array} nfts Nft objects
+ * @returns {Promise<Array>} Repackaged NFTs
  */
-export async function checkoutMetamask(nfts, proxyWallet, totalCreditUsed) {
+async function repackageNfts(nfts) {
     const vault = new ethers.Contract(
         CONTRACT_ADDRESSES["VAULT"],
         CONTRACT_ABIS["VAULT"],
-        ethersProvider.getSigner()
+        ethersProvider
     );
-
-    const { totalFee, nftAddresses, tokenIds, values, creditUsed } = processNfts(
-        nfts,
-        totalCreditUsed
+    const results = await multicall(
+        ethersProvider,
+        nfts.flatMap((nft) => {
+            const args = [nft.contract.address, getNftTokenId(nft)];
+            return [
+                { contract: vault, method: "getPrice", args },
+                { contract: vault, method: "getValue", args },
+            ];
+        }),
+        { allowFailure: true }
+    );
+    const metadatas = await Promise.all(
+        nfts.map((nft) =>
+            metadataResolver.resolve(nft, getNftTokenId(nft), () =>
+                getTokenUri(nft)
+            )
+        )
+    );
+    return nfts.map((nft, i) =>
+        repackageMetadata(nft, metadatas[i], results[2 * i], results[2 * i + 1])
     );
+}
 
-    const tx = await vault[
-        "withdrawMultiple(address[],uint256[],uint256[],address,uint256[])"
-    ](nftAddresses, tokenIds, values, proxyWallet, creditUsed, {
-        gasLimit: ethers.utils.hexlify(500000),
-    });
-    return tx;
+/**
+ * @param {*} nft Nft object
+ * @returns {Promise<string>} tokenURI, or uri for ERC-1155, read from the contract
+ */
+async function getTokenUri(nft) {
+    const { address, tokenId } = toNftRef(nft);
+    const standard =
+        getNftStandard(nft) ||
+        (await detectTokenStandard(ethersProvider, address));
+    const contract = getNftContract(address, standard, ethersProvider);
+    return standard === TOKEN_STANDARD.ERC1155
+        ? await callWithRetry(contract, "uri", [tokenId])
+        : await callWithRetry(contract, "tokenURI", [tokenId]);
 }
 
 /**
  * Repackages NFT metadata for display on ZipZap
  * @param {*} nft Nft object
- * @returns {Promise} Repackaged NFT
- */
-async function repackageMetadata(nft) {
-    // const vault = new ethers.Contract(
-    //   CONTRACT_ADDRESSES["VAULT"],
-    //   CONTRACT_ABIS["VAULT"],
-    //   ethersProvider
-    // );
-    const vault = new CustomContract(
-        CONTRACT_ADDRESSES["VAULT"],
-        CONTRACT_ABIS["VAULT"],
-        ethersProvider
-    );
-    const metaData = nft.metadata ?? nft.rawMetadata;
-    if (!metaData["attributes"]) {
-        metaData["attributes"] = [];
-    }
-    metaData["tokenId"] = (nft.id && nft.id.tokenId) || nft.tokenId;
-
-    let [price, value] = [null, null];
-    // price = ethers.utils.formatEther(
-    //   (await vault.getPrice(nft.contract.address, metaData["tokenId"])) || "0"
-    // );
-    // value = ethers.utils.formatEther(
-    //   (await vault.getValue(nft.contract.address, metaData["tokenId"])) || "0"
-    // );
-    price = ethers.utils.formatEther(
-        (await vault.callWithRetry("getPrice", [
-            nft.contract.address,
-            metaData["tokenId"],
-        ])) || "0"
-    );
-    value = ethers.utils.formatEther(
-        (await vault.callWithRetry("getValue", [
-            nft.contract.address,
-            metaData["tokenId"],
-        ])) || "0"
-    );
+ * @param {Object} metadata Metadata normalised by the metadata resolver
+ * @param {BigNumber} rawPrice Price per day in the vault
+ * @param {BigNumber} rawValue Value in the vault
+ * @returns {*} Repackaged NFT, price and value hold the exact decimal strings
+ */
+function repackageMetadata(nft, metadata, rawPrice, rawValue) {
+    const metaData = { ...metadata };
+    metaData["tokenId"] = getNftTokenId(nft);
 
-    // const price = await exponentialBackoff(vault.getPrice, nft.contract.address, metaData["tokenId"]);
-    // const value = await exponentialBackoff(vault.getValue, nft.contract.address, metaData["tokenId"]);
+    const price = Amount.from(rawPrice);
+    const value = Amount.from(rawValue);
 
-    metaData.zzVaulted = price !== "0.0" || value !== "0.0";
+    metaData.zzVaulted = !price.isZero() || !value.isZero();
     metaData.attributes = [
         {
             trait_type: `${getNativeCurrency()} Value`,
-            value: Number(value || "0.0"),
+            value: Number(value.toString()),
         },
         {
             trait_type: `${getNativeCurrency()} Price / Day`,
-            value: Number(price || "0.0"),
+            value: Number(price.toString()),
         },
         ...metaData.attributes,
     ];
-    if (metaData.image) {
-        const ipfsPrefix = "ipfs://";
-        const uri = metaData.image;
-        if (
-            uri.length >= ipfsPrefix.length &&
-            uri.slice(0, ipfsPrefix.length) === ipfsPrefix
-        ) {
-            metaData.image = "https://ipfs.io/ipfs/" + uri.slice(ipfsPrefix.length);
-        }
+    const standard = getNftStandard(nft);
+    if (standard === TOKEN_STANDARD.ERC1155) {
+        metaData.balance = Number(nft.balance || 0);
     }
     return {
         ...metaData,
+        // Exact amounts for Amount.from, the attributes are for display only
+        price: price.toString(),
+        value: value.toString(),
         address: nft.contract.address,
+        standard: standard || TOKEN_STANDARD.ERC721,
         uuid: nft.contract.address + metaData.tokenId,
     };
 }
-/**
- * Helper function to fetch data with retries using exponential backoff
- *
- * @param {function} fetchFn - The function that performs the fetch operation.
- * @param {...any} params - The parameters for the fetch function.
- * @return {Promise<string|null>}
- */
-async function exponentialBackoff(fetchFn, ...params) {
-    const maxRetries = 5;
-    const baseDelay = 250;
-
-    for (let i = 0; i <= maxRetries; i++) {
-        try {
-            const result = await fetchFn(...params);
-            return ethers.utils.formatEther(result || "0");
-        } catch (err) {
-            if (i < maxRetries) {
-                const delay = baseDelay * (1 + Math.random());
-                console.log(`Encountered error, retrying fetch after ${delay}ms...`);
-                await new Promise((resolve) => setTimeout(resolve, delay));
-            } else {
-                console.error(`Failed to fetch after maximum retries: `, err);
-            }
-        }
-    }
-    return null;
-}
-
 /**
  * @returns {Promise<Number, Number>} Minimum and maximum vault rental time in seconds
  */
 export async function getVaultDurations() {
-    // const vaultContract = new ethers.Contract(
-    //   CONTRACT_ADDRESSES["VAULT"],
-    //   CONTRACT_ABIS["VAULT"],
-    //   ethersProvider
-    // );
-    const vaultContract = new CustomContract(
+    const vaultContract = new ethers.Contract(
         CONTRACT_ADDRESSES["VAULT"],
         CONTRACT_ABIS["VAULT"],
         ethersProvider
@@ -1061,11 +2303,11 @@ export async function getVaultDurations() {
     const taskList = [
         async () => {
             // return await vaultContract.getMinRentDuration();
-            return await vaultContract.callWithRetry("getMinRentDuration", []);
+            return await callWithRetry(vaultContract, "getMinRentDuration", []);
         },
         async () => {
             // return await vaultContract.getMaxRentDuration();
-            return await vaultContract.callWithRetry("getMaxRentDuration", []);
+            return await callWithRetry(vaultContract, "getMaxRentDuration", []);
         },
     ];
     const tasks = taskList?.map((task) => {
@@ -1075,30 +2317,549 @@ export async function getVaultDurations() {
 }
 
 /**
- * @param {string} fromAddress Address to get transactions originating from
- * @param {string} fromBlock Block number to start with in hex
- * @returns {Promise<Array>} Transaction history
+ * Finds the last block mined at or before a time, by binary search over block times
+ * @param {Number} timestamp Unix time in seconds
+ * @returns {Promise<Number>} Block number
+ */
+async function getBlockAtTime(timestamp) {
+    const getBlock = (blockTag) =>
+        withRetry(() => ethersProvider.getBlock(blockTag), {
+            label: "getBlock at time",
+        });
+    const latest = await getBlock("latest");
+    if (latest.timestamp <= timestamp) return latest.number;
+    let low = 0;
+    let high = latest.number;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if ((await getBlock(middle)).timestamp <= timestamp) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+}
+
+/**
+ * Fetches pages of asset transfers matching params, most recent first
+ * @param {Object} params alchemy_getAssetTransfers params
+ * @param {Object} options
+ * @param {Number} [options.since] Stop paging past transfers older than this unix time in seconds
+ * @param {Number} [options.limit] Stop paging once this many transfers are fetched
+ * @returns {Promise<{transfers: Array, pageKey: string}>} Alchemy asset transfers and
+ * the key of the next page, null once every transfer since `since` is fetched
+ */
+async function getAllAssetTransfers(params, { since, limit = Infinity } = {}) {
+    const transfers = [];
+    let pageKey;
+    for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+        const response = await dataSource.getAssetTransfers({
+            ...params,
+            order: "desc",
+            withMetadata: true,
+            pageKey,
+        });
+        transfers.push(...response.transfers);
+        pageKey = response.pageKey || null;
+        const last = response.transfers[response.transfers.length - 1];
+        if (since && last && getTransferTime(last) < since) pageKey = null;
+        if (!pageKey || transfers.length >= limit) break;
+    }
+    return { transfers, pageKey };
+}
+
+/**
+ * Gets transfers from and to addresses, merged across pages. When a query has more
+ * pages than fetched, transfers from its oldest block on are left out and that block
+ * is returned to continue from, so no transfer is skipped.
+ * @param {Array<string>} addresses
+ * @param {Object} options
+ * @param {string} [options.fromBlock] Hex block number
+ * @param {string} [options.toBlock] Hex block number, the latest by default
+ * @param {Array<HISTORY_CATEGORY>} [options.categories] All categories by default
+ * @param {Number} [options.since] Unix time in seconds to stop paging at
+ * @param {Number} [options.limit] Transfers to fetch per address and direction at least
+ * @returns {Promise<{transfers: Array, nextBlock: Number}>} Alchemy asset transfers, most
+ * recent first, and the block to pass as toBlock for the rest, null if there is none
  */
-export async function getTransactionHistory(fromAddress, fromBlock = "0x0") {
-    const { transfers } = await alchemy.core.getAssetTransfers({
+async function getTransfers(
+    addresses,
+    {
+        fromBlock = "0x0",
+        toBlock,
+        categories = Object.values(HISTORY_CATEGORY),
+        since,
+        limit,
+    } = {}
+) {
+    const params = {
         fromBlock,
-        fromAddress,
-        order: "desc",
-        category: ["external", "internal", "erc20", "erc721", "erc1155"],
-    });
+        toBlock,
+        category: categories,
+        // Contract calls without value, e.g. setReference, are zero value transfers
+        excludeZeroValue: false,
+    };
+    const results = await Promise.all(
+        addresses
+            .filter(Boolean)
+            .flatMap((address) => [
+                getAllAssetTransfers(
+                    { ...params, fromAddress: address },
+                    { since, limit }
+                ),
+                getAllAssetTransfers(
+                    { ...params, toAddress: address },
+                    { since, limit }
+                ),
+            ])
+    );
+    // Blocks down to the newest last block of the cut off queries are complete
+    const cutOff = results
+        .filter(({ pageKey, transfers }) => pageKey && transfers.length)
+        .map(({ transfers }) =>
+            Number(transfers[transfers.length - 1].blockNum)
+        );
+    const nextBlock = cutOff.length ? Math.max(...cutOff) : null;
+    const transfers = mergeTransfers(results.map((result) => result.transfers));
+    return {
+        transfers:
+            nextBlock === null
+                ? transfers
+                : transfers.filter(
+                      (transfer) => Number(transfer.blockNum) > nextBlock
+                  ),
+        nextBlock,
+    };
+}
+
+/**
+ * Gets all incoming and outgoing transfers of an address
+ * @param {string} address
+ * @param {string} fromBlock Hex block number
+ * @returns {Promise<Array>} Alchemy asset transfers, most recent first
+ */
+export async function getTransactionHistory(address, fromBlock = "0x0") {
+    const transfers = [];
+    let toBlock;
+    do {
+        const result = await getTransfers([address], { fromBlock, toBlock });
+        transfers.push(...result.transfers);
+        toBlock =
+            result.nextBlock === null
+                ? null
+                : ethers.utils.hexValue(result.nextBlock);
+    } while (toBlock);
     return transfers;
 }
 
 /**
- * Cancels a transaction
+ * Gets the history of an account and its proxy wallet as readable actions, such as
+ * "Rented BAYC #12 for 3 days". Calls relayed through the proxy wallet are decoded
+ * with the Vault, ERC20 and NFT ABIs. Rental durations use the current vault price.
+ * @param {string} account EOA
+ * @param {string} proxyWallet
+ * @param {Object} options
+ * @param {Date|Number} [options.fromDate] Earliest time, Date or unix time in seconds
+ * @param {Date|Number} [options.toDate] Latest time, Date or unix time in seconds
+ * @param {Array<HISTORY_CATEGORY>} [options.categories] Transfer categories, all by default
+ * @param {Array<ACTION_TYPE>} [options.actions] Only keep these actions, applied after
+ * paging so pages can be shorter
+ * @param {string} [options.cursor] nextCursor of the previous page, first page if empty
+ * @param {Number} [options.pageSize] Entries per page, more when the last block of the
+ * page has several
+ * @returns {Promise<{items: Array, nextCursor: string}>} Entries { hash, blockNumber,
+ * timestamp, from, to, gasPrice, transfers, calls, action: { type, description, items } },
+ * most recent first, nextCursor is null on the last page
+ */
+export async function getAccountHistory(
+    account,
+    proxyWallet,
+    {
+        fromDate,
+        toDate,
+        categories,
+        actions,
+        cursor = null,
+        pageSize = HISTORY_PAGE_SIZE,
+    } = {}
+) {
+    const toSeconds = (date) =>
+        date instanceof Date ? Math.floor(date.getTime() / 1000) : date;
+    // The cursor is the hex block number the next page starts at
+    let toBlock =
+        cursor ||
+        (toDate === undefined
+            ? undefined
+            : ethers.utils.hexValue(await getBlockAtTime(toSeconds(toDate))));
+    let entries = [];
+    let nextBlock;
+    do {
+        const result = await getTransfers([account, proxyWallet], {
+            toBlock,
+            categories,
+            since: toSeconds(fromDate),
+            limit: pageSize,
+        });
+        entries.push(
+            ...filterHistory(groupTransfers(result.transfers), {
+                fromDate,
+                toDate,
+            })
+        );
+        nextBlock = result.nextBlock;
+        toBlock = nextBlock === null ? null : ethers.utils.hexValue(nextBlock);
+    } while (toBlock && entries.length < pageSize);
+    // Pages end on a block boundary, the next page starts with a whole block
+    let end = Math.min(pageSize, entries.length);
+    while (
+        end < entries.length &&
+        entries[end].blockNumber === entries[end - 1].blockNumber
+    )
+        end++;
+    const nextCursor =
+        end < entries.length
+            ? ethers.utils.hexValue(entries[end].blockNumber)
+            : toBlock;
+    entries = entries.slice(0, end);
+
+    const decode = createCallDecoder({
+        VAULT: CONTRACT_ABIS["VAULT"],
+        PROXYWALLETFACTORY: CONTRACT_ABIS["PROXYWALLETFACTORY"],
+        ERC20: CONTRACT_ABIS["ERC20"],
+        NFT: CONTRACT_ABIS["NFT"],
+        ERC1155: ERC1155_ABI,
+    });
+    await mapWithConcurrency(entries, HISTORY_CONCURRENCY, async (entry) => {
+        try {
+            const tx = await withRetry(
+                () => ethersProvider.getTransaction(entry.hash),
+                { label: "getTransaction" }
+            );
+            entry.from = tx?.from || null;
+            entry.to = tx?.to || null;
+            entry.gasPrice = tx?.gasPrice || null;
+            entry.calls = decode(tx?.data);
+        } catch (error) {
+            console.log("get history transaction error", error);
+            entry.calls = [];
+        }
+    });
+
+    const vault = new ethers.Contract(
+        CONTRACT_ADDRESSES["VAULT"],
+        CONTRACT_ABIS["VAULT"],
+        ethersProvider
+    );
+    const rented = entries.flatMap((entry) =>
+        entry.calls
+            .filter(
+                (call) =>
+                    call.contract === "VAULT" &&
+                    (call.name === "withdraw" ||
+                        call.name === "withdrawMultiple")
+            )
+            .flatMap(getVaultCallItems)
+    );
+    const results = await multicall(
+        ethersProvider,
+        rented.map(({ address, tokenId }) => ({
+            contract: vault,
+            method: "getPrice",
+            args: [address, tokenId],
+        })),
+        { allowFailure: true }
+    );
+    const prices = {};
+    rented.forEach(({ address, tokenId }, i) => {
+        if (results[i])
+            prices[creditKey(address, tokenId)] = Amount.from(results[i]);
+    });
+
+    const items = filterHistory(
+        entries.map((entry) => ({
+            ...entry,
+            action: describeAction(entry, {
+                calls: entry.calls,
+                addresses: [account, proxyWallet],
+                vault: vault.address,
+                nativeSymbol: getNativeCurrency(),
+                prices,
+            }),
+        })),
+        { actions }
+    );
+    return { items, nextCursor };
+}
+
+/**
+ * Gets the referral rewards credited to a proxy wallet within a time range. The Vault
+ * pays them as rent credit, often in transactions of other accounts, so they are the
+ * change of the credit balance plus the credits spent within the range.
+ * @param {string} proxyWallet
+ * @param {Object} options
+ * @param {Number} [options.from] Unix time in seconds, from the first block by default
+ * @param {Number} [options.to] Unix time in seconds, until the latest block by default
+ * @param {Amount} options.creditsUsed Credits applied within the range
+ * @returns {Promise<Amount|null>} null if the balances cannot be read
+ */
+async function getRewardsCredited(proxyWallet, { from, to, creditsUsed }) {
+    if (!proxyWallet) return Amount.zero();
+    const vault = new ethers.Contract(
+        CONTRACT_ADDRESSES["VAULT"],
+        CONTRACT_ABIS["VAULT"],
+        ethersProvider
+    );
+    const getCredit = async (timestamp) => {
+        const blockTag =
+            timestamp === undefined
+                ? "latest"
+                : await getBlockAtTime(timestamp);
+        return Amount.from(
+            await callWithRetry(vault, "getRentCredit", [
+                proxyWallet,
+                { blockTag },
+            ])
+        );
+    };
+    try {
+        const [start, end] = await Promise.all([
+            from === undefined ? Amount.zero() : getCredit(from - 1),
+            getCredit(to),
+        ]);
+        return end.sub(start).add(creditsUsed);
+    } catch (error) {
+        // Past balances need a node that keeps historical state
+        console.log("get rewards credited error", error);
+        return null;
+    }
+}
+
+/**
+ * Exports the activity of an account and its proxy wallet for accounting, one row per
+ * transaction, see toActivityRow(), and a last row with the referral rewards credited
+ * over the range, see toRewardRow(). USD amounts use the prices of the day of each
+ * row, the price feed is called with { date } and must resolve historical prices.
+ * @param {string} account EOA
+ * @param {string} proxyWallet
+ * @param {Object} options
+ * @param {Date|Number} [options.fromDate] Earliest time, Date or unix time in seconds
+ * @param {Date|Number} [options.toDate] Latest time, Date or unix time in seconds
+ * @param {EXPORT_FORMAT} [options.format] CSV by default
+ * @param {function} [options.priceFeed] See createCoinGeckoPriceFeed(), the one set with
+ * setTokenPriceFeed() by default
+ * @returns {Promise<string>} CSV, or JSON with the rows, totals, credit balance and
+ * referral reward terms
+ */
+export async function exportActivity(
+    account,
+    proxyWallet,
+    {
+        fromDate,
+        toDate,
+        format = EXPORT_FORMAT.CSV,
+        priceFeed = tokenPriceFeed,
+    } = {}
+) {
+    const toSeconds = (date) =>
+        date instanceof Date ? Math.floor(date.getTime() / 1000) : date;
+    const entries = [];
+    let cursor = null;
+    do {
+        const page = await getAccountHistory(account, proxyWallet, {
+            fromDate,
+            toDate,
+            cursor,
+        });
+        entries.push(...page.items);
+        cursor = page.nextCursor;
+    } while (cursor);
+    await mapWithConcurrency(entries, HISTORY_CONCURRENCY, async (entry) => {
+        // Only transactions sent from the EOA cost the account gas
+        if (entry.from?.toLowerCase() !== account?.toLowerCase()) return;
+        try {
+            entry.receipt = await withRetry(
+                () => ethersProvider.getTransactionReceipt(entry.hash),
+                { label: "getTransactionReceipt" }
+            );
+        } catch (error) {
+            console.log("get activity receipt error", error);
+        }
+    });
+
+    // Tokens to price by UTC day, the reward row is priced on the last day
+    const rewardTime = toSeconds(toDate) ?? now();
+    const dayOf = (timestamp) => toIsoTime(timestamp)?.slice(0, 10);
+    const native = {
+        address: getNativeCurrency(),
+        symbol: getNativeCurrency(),
+        native: true,
+    };
+    const tokensByDay = { [dayOf(rewardTime)]: { [native.address]: native } };
+    for (const { timestamp, transfers } of entries) {
+        const day = dayOf(timestamp);
+        if (!day) continue;
+        tokensByDay[day] = tokensByDay[day] || { [native.address]: native };
+        for (const transfer of transfers) {
+            if (transfer.category !== HISTORY_CATEGORY.ERC20) continue;
+            const address = transfer.rawContract.address.toLowerCase();
+            tokensByDay[day][address] = { address, symbol: transfer.asset };
+        }
+    }
+    const pricesByDay = {};
+    if (priceFeed) {
+        // One day at a time, historical price APIs are rate limited
+        for (const day in tokensByDay) {
+            try {
+                pricesByDay[day] = await priceFeed(
+                    Object.values(tokensByDay[day]),
+                    { date: new Date(`${day}T00:00:00Z`) }
+                );
+            } catch (error) {
+                console.log("activity price feed error", error);
+            }
+        }
+    }
+    const rows = entries.map((entry) =>
+        toActivityRow(entry, {
+            addresses: [account, proxyWallet],
+            nativeSymbol: getNativeCurrency(),
+            prices: pricesByDay[dayOf(entry.timestamp)],
+        })
+    );
+    const rewards = await getRewardsCredited(proxyWallet, {
+        from: toSeconds(fromDate),
+        to: toSeconds(toDate),
+        creditsUsed: Amount.sum(rows.map((row) => Amount.from(row.credits))),
+    });
+    rows.push(
+        toRewardRow(rewards, {
+            timestamp: rewardTime,
+            nativeSymbol: getNativeCurrency(),
+            prices: pricesByDay[dayOf(rewardTime)],
+        })
+    );
+    if (format === EXPORT_FORMAT.CSV) return toCsv(rows, getNativeCurrency());
+    if (format !== EXPORT_FORMAT.JSON)
+        throw new Error(`Unknown export format ${format}`);
+
+    const [creditBalance, referer, rewardInfo] = await Promise.all([
+        getCreditBalance(proxyWallet),
+        getRefererInfo(proxyWallet),
+        getRewardInfo(proxyWallet),
+    ]);
+    const rewardTerms = {};
+    for (const key in rewardInfo || {})
+        rewardTerms[key] = String(rewardInfo[key]);
+    return JSON.stringify(
+        {
+            account,
+            proxyWallet,
+            nativeCurrency: getNativeCurrency(),
+            fromDate: toIsoTime(fromDate),
+            toDate: toIsoTime(toDate),
+            exportedAt: toIsoTime(now()),
+            creditBalance,
+            referer: referer || null,
+            rewards: rewardTerms,
+            totals: getActivityTotals(rows),
+            rows,
+        },
+        null,
+        2
+    );
+}
+
+/**
+ * Cancels a transaction relayed from the proxy wallet
  * @param {string} publicKey
  * @param {string} proxyWallet
  * @param {string} id Id of transaction to cancel
  * @returns
  */
-export async function cancelTransaction(publicKey, proxyWallet, id) {
+export async function cancelRelayedTransaction(publicKey, proxyWallet, id) {
     return await ethersProvider.getTransaction(
-        await cancelTransactionRequest(publicKey, proxyWallet, id)
+        await dataSource.cancelTransactionRequest(publicKey, proxyWallet, id)
+    );
+}
+
+/**
+ * Resubmits a pending wallet-signed transaction with the same nonce and higher fees,
+ * linking the replacement to the original in the transaction tracker.
+ * NOTE the wallet must honour custom nonces, MetaMask only does with its advanced setting on.
+ * @param {string} hash Hash of the pending transaction
+ * @param {function} toReplacement Builds the replacement request from the pending transaction
+ * @param {boolean} cancel Whether the replacement cancels the assets moved by the original
+ * @returns {Promise<TransactionResponse>} Replacement transaction
+ */
+async function replaceTransaction(hash, toReplacement, cancel) {
+    const pending = await ethersProvider.getTransaction(hash);
+    if (!pending) throw new Error(`Transaction ${hash} not found`);
+    if (pending.blockNumber || (await getNonce(pending.from)) > pending.nonce)
+        throw new Error(`Transaction ${hash} is no longer pending`);
+    const fees = await getReplacementFees(ethersProvider, pending, {
+        policy: feePolicy,
+    });
+    const response = await ethersProvider
+        .getSigner(pending.from)
+        .sendTransaction({
+            ...toReplacement(pending),
+            nonce: pending.nonce,
+            ...fees,
+        });
+    if (transactionTracker) {
+        const original = transactionTracker.getTransaction(hash);
+        try {
+            await transactionTracker.track(response, {
+                kind: original?.kind,
+                assets: cancel ? [] : original?.assets,
+                replaces: hash,
+            });
+        } catch (error) {
+            console.log("track transaction error", error);
+        }
+    }
+    return response;
+}
+
+/**
+ * Speeds up a pending transaction signed in the user's wallet
+ * @param {string} hash Hash of the pending transaction
+ * @returns {Promise<TransactionResponse>} Replacement transaction
+ */
+export async function speedUpTransaction(hash) {
+    return await replaceTransaction(
+        hash,
+        (pending) => ({
+            to: pending.to,
+            data: pending.data,
+            value: pending.value,
+            gasLimit: pending.gasLimit,
+        }),
+        false
+    );
+}
+
+/**
+ * Cancels a pending transaction signed in the user's wallet by replacing it with an
+ * empty transfer to itself. The former (publicKey, proxyWallet, id) call is still
+ * forwarded to cancelRelayedTransaction() but deprecated.
+ * @param {string} hash Hash of the pending transaction
+ * @returns {Promise<TransactionResponse>} Cancelling transaction
+ */
+export async function cancelTransaction(hash, ...relayed) {
+    if (relayed.length) {
+        console.log(
+            "cancelTransaction(publicKey, proxyWallet, id) is deprecated, use cancelRelayedTransaction()"
+        );
+        return await cancelRelayedTransaction(hash, ...relayed);
+    }
+    return await replaceTransaction(
+        hash,
+        (pending) => ({
+            to: pending.from,
+            data: "0x",
+            value: 0,
+            gasLimit: 21000,
+        }),
+        true
     );
 }
 
@@ -1108,10 +2869,10 @@ export async function cancelTransaction(publicKey, proxyWallet, id) {
  * @returns {Promise} ERC20s owned by address
  */
 export async function getOwnedERC20s(address) {
-    const { tokenBalances } = await alchemy.core.getTokenBalances(address);
+    const { tokenBalances } = await dataSource.getTokenBalances(address);
     const tokens = [];
     for (const token of tokenBalances) {
-        const data = await alchemy.core.getTokenMetadata(token.contractAddress);
+        const data = await dataSource.getTokenMetadata(token.contractAddress);
         tokens.push({ ...token, ...data });
     }
     return tokens;
@@ -1133,19 +2894,20 @@ export async function getNonce(address) {
  * @returns {Promise<boolean>}
  */
 export async function isNFTInVault(address, tokenId) {
-    // const nftContract = new ethers.Contract(
-    //   address,
-    //   CONTRACT_ABIS["NFT"],
-    //   ethersProvider
-    // );
-    const nftContract = new CustomContract(
-        address,
-        CONTRACT_ABIS["NFT"],
-        ethersProvider
-    );
     try {
+        const standard = await detectTokenStandard(ethersProvider, address);
+        const nftContract = getNftContract(address, standard, ethersProvider);
+        if (standard === TOKEN_STANDARD.ERC1155) {
+            const balance = await callWithRetry(nftContract, "balanceOf", [
+                CONTRACT_ADDRESSES["VAULT"],
+                tokenId,
+            ]);
+            return balance.gt(0);
+        }
         // const currentOwner = await nftContract.ownerOf(tokenId);
-        const currentOwner = await nftContract.callWithRetry("ownerOf", [tokenId]);
+        const currentOwner = await callWithRetry(nftContract, "ownerOf", [
+            tokenId,
+        ]);
         return currentOwner === CONTRACT_ADDRESSES["VAULT"];
     } catch (error) {
         console.error(`Error checking NFT ownership: ${error.message}`);
@@ -1155,20 +2917,22 @@ export async function isNFTInVault(address, tokenId) {
 
 /**
  * @param {string} proxyWallet User's proxy wallet address
- * @returns {Promise<string>} Number of credits the user's proxy wallet has, formatted for display
+ * @returns {Promise<Amount>} Credits the user's proxy wallet has, use format() for display
  */
 export async function getCreditBalance(proxyWallet) {
     try {
-        const vault = new CustomContract(
+        const vault = new ethers.Contract(
             CONTRACT_ADDRESSES["VAULT"],
             CONTRACT_ABIS["VAULT"],
             ethersProvider
         );
-        const balance = await vault.callWithRetry("getRentCredit", [proxyWallet]);
-        return balance;
+        const balance = await callWithRetry(vault, "getRentCredit", [
+            proxyWallet,
+        ]);
+        return Amount.from(balance);
     } catch (error) {
         console.log("get credit balance error", error);
-        return ethers.utils.parseEther("0");
+        return Amount.zero();
     }
 }
 
@@ -1178,7 +2942,7 @@ export async function getCreditBalance(proxyWallet) {
  */
 export async function getRefererInfo(proxyWallet) {
     try {
-        const vault = new CustomContract(
+        const vault = new ethers.Contract(
             CONTRACT_ADDRESSES["VAULT"],
             CONTRACT_ABIS["VAULT"],
             ethersProvider
@@ -1186,7 +2950,9 @@ export async function getRefererInfo(proxyWallet) {
 
         let refererAddress;
         if (proxyWallet)
-            refererAddress = await vault.callWithRetry("getReferer", [proxyWallet]);
+            refererAddress = await callWithRetry(vault, "getReferer", [
+                proxyWallet,
+            ]);
         if (refererAddress === ethers.constants.AddressZero) {
             return 0;
         }
@@ -1227,12 +2993,18 @@ export async function submitReferenceCode(
         );
         const decoded = Buffer.from(reference, "base64").toString("hex");
         let signature = "0x" + decoded.slice(104);
-        const transaction = await vault.setReference(
-            referenceCode,
-            ethers.BigNumber.from(uuid),
-            ethers.utils.arrayify(signature),
-            proxyWallet
+        const transaction = await sendContractTransaction(
+            vault,
+            "setReference",
+            [
+                referenceCode,
+                ethers.BigNumber.from(uuid),
+                ethers.utils.arrayify(signature),
+                proxyWallet,
+            ],
+            { policy: feePolicy }
         );
+        await trackTransaction(transaction, TX_KIND.REFERENCE);
         const receipt = await transaction.wait();
         if (options.onSuccess) {
             options.onSuccess(receipt);
@@ -1249,21 +3021,24 @@ export async function submitReferenceCode(
 
 export async function getRewardInfo(proxyWallet) {
     try {
-        const vault = new CustomContract(
+        const vault = new ethers.Contract(
             CONTRACT_ADDRESSES["VAULT"],
             CONTRACT_ABIS["VAULT"],
             ethersProvider
         );
 
-        let rewardCapPerReference = await vault.callWithRetry(
+        let rewardCapPerReference = await callWithRetry(
+            vault,
             "getRewardCapPerReference",
             []
         );
-        let refererRewardPercentage = await vault.callWithRetry(
+        let refererRewardPercentage = await callWithRetry(
+            vault,
             "getRefererRewardPercentage",
             []
         );
-        let refereeRewardPercentage = await vault.callWithRetry(
+        let refereeRewardPercentage = await callWithRetry(
+            vault,
             "getRefereeRewardPercentage",
             []
         );
@@ -1286,7 +3061,10 @@ export async function getIsProxyWalletUser(proxyWallet, publicKey) {
             CONTRACT_ABIS["VAULT"],
             ethersProvider
         );
-        return await vault.isProxyWalletUser(proxyWallet, publicKey);
+        return await callWithRetry(vault, "isProxyWalletUser", [
+            proxyWallet,
+            publicKey,
+        ]);
     } catch (error) {
         console.log("get isProxyWalletUser error: ", error);
     }
@@ -1301,9 +3079,13 @@ export async function registerNewWallet(user, proxyWallet, signature, toast, err
             ethersProvider.getSigner()
         );
         console.log(user, proxyWallet, signature);
-        const registerWalletTx = await contract[
-            "registerWallet(address,address,bytes)"
-        ](user, proxyWallet, signature);
+        const registerWalletTx = await sendContractTransaction(
+            contract,
+            "registerWallet(address,address,bytes)",
+            [user, proxyWallet, signature],
+            { policy: feePolicy }
+        );
+        await trackTransaction(registerWalletTx, TX_KIND.REGISTER);
         toast({ description: "Your transaction has been submitted!" });
         await registerWalletTx.wait();
         userWalletData = {
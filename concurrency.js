@@ -0,0 +1,24 @@
+/**
+ * Maps items through an async function with at most limit calls in flight
+ * @param {Array} items
+ * @param {Number} limit Maximum concurrent calls
+ * @param {function} fn Called with (item, index), returns a promise
+ * @returns {Promise<Array>} Results in the order of items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(
+        Array.from(
+            { length: Math.min(Math.max(limit, 1), items.length) },
+            worker
+        )
+    );
+    return results;
+}
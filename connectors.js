@@ -0,0 +1,266 @@
+import detectEthereumProvider from "@metamask/detect-provider";
+import { getItem, setItem } from "./localStorage";
+
+export const CONNECTOR_TYPE = {
+    INJECTED: "injected",
+    EIP6963: "eip6963",
+    WALLETCONNECT: "walletconnect",
+};
+
+// EIP-1193 / EIP-3085 error code for a chain the wallet does not know yet
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+let registeredConnectors = [];
+
+/**
+ * Wraps an EIP-1193 provider in the connector interface used by blockchainRequests.
+ * Listeners added through the connector are tracked so they can be emitted locally
+ * and removed without touching listeners registered by other libraries.
+ * @param {Object} options
+ * @param {string} options.id Unique id of the connector
+ * @param {string} options.name Display name of the wallet
+ * @param {CONNECTOR_TYPE} options.type
+ * @param {string} [options.icon] Data URI of the wallet icon
+ * @param {function} options.getProvider Resolves the EIP-1193 provider
+ * @param {function} [options.connect] Requests accounts, defaults to eth_requestAccounts
+ * @param {function} [options.disconnect]
+ * @returns {Object} Connector
+ */
+export function createConnector({
+    id,
+    name,
+    type,
+    icon,
+    getProvider,
+    connect,
+    disconnect,
+}) {
+    let provider = null;
+    let chainId = null;
+    let listeners = {};
+
+    const connector = {
+        id,
+        name,
+        type,
+        icon,
+        /**
+         * @returns {Promise<*>} EIP-1193 provider, null if the wallet is unavailable
+         */
+        async getProvider() {
+            if (provider) return provider;
+            provider = (await getProvider()) || null;
+            for (const event in listeners) {
+                listeners[event].forEach((handler) => provider?.on?.(event, handler));
+            }
+            return provider;
+        },
+        /**
+         * @param {{method: string, params: Array}} args
+         * @returns {Promise<*>}
+         */
+        async request(args) {
+            const activeProvider = await connector.getProvider();
+            if (!activeProvider) throw new Error(`${name} is not available`);
+            return await activeProvider.request(args);
+        },
+        /**
+         * @returns {Promise<CHAIN>} chain id as hex string
+         */
+        async getChainId() {
+            if (!(await connector.getProvider())) return undefined;
+            chainId = await connector.request({ method: "eth_chainId" });
+            return chainId;
+        },
+        /**
+         * NOTE use getChainId() if possible
+         * @returns {CHAIN} chain id as hex string
+         */
+        getChainIdLocal() {
+            return provider?.chainId || chainId;
+        },
+        /**
+         * @returns {Promise<Array<string>>} Accounts already authorized
+         */
+        async getAccounts() {
+            return await connector.request({ method: "eth_accounts" });
+        },
+        /**
+         * Prompts the user to authorize accounts
+         * @returns {Promise<Array<string>>}
+         */
+        async requestAccounts() {
+            if (connect) return await connect(await connector.getProvider());
+            return await connector.request({ method: "eth_requestAccounts" });
+        },
+        /**
+         * Prompts user to switch chain, adding it to the wallet first if unknown
+         * @param {NETWORK_INFO} chainInfo Result of getChainInfo()
+         * @returns {Promise<null>}
+         */
+        async switchChain({ info }) {
+            try {
+                return await connector.request({
+                    method: "wallet_switchEthereumChain",
+                    params: [{ chainId: info.chainId }],
+                });
+            } catch (error) {
+                const code = error?.data?.originalError?.code ?? error?.code;
+                if (code !== UNRECOGNIZED_CHAIN_ERROR || !info.rpcUrls) throw error;
+                return await connector.request({
+                    method: "wallet_addEthereumChain",
+                    params: [info],
+                });
+            }
+        },
+        /**
+         * @param {string} event EIP-1193 event name
+         * @param {function} handler
+         */
+        on(event, handler) {
+            listeners[event] = [...(listeners[event] || []), handler];
+            provider?.on?.(event, handler);
+        },
+        /**
+         * Calls the handlers registered through on() without going through the wallet
+         * @param {string} event
+         * @param {...any} args
+         */
+        emit(event, ...args) {
+            (listeners[event] || []).forEach((handler) => handler(...args));
+        },
+        removeAllListeners() {
+            for (const event in listeners) {
+                for (const handler of listeners[event]) {
+                    provider?.removeListener?.(event, handler);
+                }
+            }
+            listeners = {};
+        },
+        async disconnect() {
+            connector.removeAllListeners();
+            if (disconnect && provider) await disconnect(provider);
+        },
+    };
+    return connector;
+}
+
+/**
+ * Connector for the legacy window.ethereum injected provider
+ * @returns {Object} Connector
+ */
+export function createInjectedConnector() {
+    return createConnector({
+        id: CONNECTOR_TYPE.INJECTED,
+        name: "Browser Wallet",
+        type: CONNECTOR_TYPE.INJECTED,
+        getProvider: () => detectEthereumProvider({ silent: true }),
+    });
+}
+
+/**
+ * Connector for a provider announced through EIP-6963
+ * @param {{info: Object, provider: *}} detail Announced provider detail
+ * @returns {Object} Connector
+ */
+export function createEip6963Connector({ info, provider }) {
+    return createConnector({
+        id: info.rdns || info.uuid,
+        name: info.name,
+        type: CONNECTOR_TYPE.EIP6963,
+        icon: info.icon,
+        getProvider: async () => provider,
+    });
+}
+
+/**
+ * Connector for a WalletConnect-style provider that has to be created and connected explicitly
+ * @param {Object} options
+ * @param {function} options.createProvider Resolves the provider, e.g. EthereumProvider.init(...)
+ * @param {string} [options.id]
+ * @param {string} [options.name]
+ * @param {string} [options.icon]
+ * @returns {Object} Connector
+ */
+export function createWalletConnectConnector({
+    createProvider,
+    id = CONNECTOR_TYPE.WALLETCONNECT,
+    name = "WalletConnect",
+    icon,
+}) {
+    return createConnector({
+        id,
+        name,
+        type: CONNECTOR_TYPE.WALLETCONNECT,
+        icon,
+        getProvider: createProvider,
+        connect: async (provider) => {
+            if (provider.connect) await provider.connect();
+            else if (provider.enable) return await provider.enable();
+            return await provider.request({ method: "eth_accounts" });
+        },
+        disconnect: async (provider) => await provider.disconnect?.(),
+    });
+}
+
+/**
+ * Discovers wallets through EIP-6963 provider announcements
+ * @param {Number} timeout Time in ms to wait for announcements
+ * @returns {Promise<Array>} Announced provider details
+ */
+export function discoverProviders(timeout = 200) {
+    if (typeof window === "undefined") return Promise.resolve([]);
+    return new Promise((resolve) => {
+        const details = {};
+        const announceHandler = (event) => {
+            details[event.detail.info.uuid] = event.detail;
+        };
+        window.addEventListener("eip6963:announceProvider", announceHandler);
+        window.dispatchEvent(new Event("eip6963:requestProvider"));
+        setTimeout(() => {
+            window.removeEventListener("eip6963:announceProvider", announceHandler);
+            resolve(Object.values(details));
+        }, timeout);
+    });
+}
+
+/**
+ * Makes a connector available to selectConnector()
+ * @param {Object} connector
+ */
+export function registerConnector(connector) {
+    registeredConnectors = [
+        ...registeredConnectors.filter(({ id }) => id !== connector.id),
+        connector,
+    ];
+}
+
+/**
+ * @returns {Promise<Array>} Registered, EIP-6963 and injected connectors
+ */
+export async function getConnectors() {
+    const discovered = (await discoverProviders()).map(createEip6963Connector);
+    const connectors = [...registeredConnectors];
+    for (const connector of discovered) {
+        if (!connectors.some(({ id }) => id === connector.id)) {
+            connectors.push(connector);
+        }
+    }
+    connectors.push(createInjectedConnector());
+    return connectors;
+}
+
+/**
+ * Picks the connector to use, remembering the choice for eager connects
+ * @param {string} [connectorId] Id of the connector, defaults to the last one used
+ * @returns {Promise<Object|undefined>} Connector
+ */
+export async function selectConnector(connectorId) {
+    const connectors = await getConnectors();
+    const id = connectorId || getItem("connector") || CONNECTOR_TYPE.INJECTED;
+    const connector =
+        connectors.find((connector) => connector.id === id) ||
+        connectors.find(({ type }) => type === CONNECTOR_TYPE.INJECTED);
+    if (connector) setItem("connector", connector.id);
+    return connector;
+}
@@ -0,0 +1,193 @@
+import { getNetwork } from "./networkRegistry";
+import { withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+/**
+ * Z4 contracts used by the frontend, with the functions the frontend calls on them
+ */
+export const CONTRACTS = {
+    VAULT: {
+        artifact: "VaultModule",
+        requiredFunctions: [
+            "withdraw(address,uint256,uint256)",
+            "withdrawMultiple(address[],uint256[],uint256[],address,uint256[])",
+            "getPrice",
+            "getValue",
+            "getMaxRentalAmount",
+            "getRentalAmount",
+            "getMinRentDuration",
+            "getMaxRentDuration",
+            "getRentCredit",
+            "getReferer",
+            "setReference",
+            "isProxyWalletUser",
+        ],
+    },
+    RENTSTORAGE: {
+        artifact: "RentableTokensStorage",
+        requiredFunctions: ["getTokenId(address,uint256)", "getLockedTill"],
+    },
+    PROXYWALLETFACTORY: {
+        artifact: "ProxyWalletFactoryModule",
+        requiredFunctions: ["registerWallet(address,address,bytes)"],
+    },
+};
+
+const loadedArtifacts = {};
+
+let addressOverrides = JSON.parse(
+    process.env.REACT_APP_CONTRACT_ADDRESSES || "{}"
+);
+
+/**
+ * Overrides deployed addresses for a network, e.g. for a local fork.
+ * REACT_APP_CONTRACT_ADDRESSES accepts the same shape: { [network]: { VAULT: "0x..." } }
+ * @param {NETWORK} network
+ * @param {Object} overrides Addresses keyed by contract name
+ */
+export function setContractAddressOverrides(network, overrides) {
+    addressOverrides = {
+        ...addressOverrides,
+        [network]: { ...addressOverrides[network], ...overrides },
+    };
+}
+
+/**
+ * @param {string} artifactFolder
+ * @param {string} file
+ * @returns {Object} { artifact } parsed, { missing: true } if there is no such file, or
+ * { problem } if it cannot be parsed
+ */
+function requireArtifact(artifactFolder, file) {
+    try {
+        return {
+            artifact: require(`../../submodules/Z4/frontend/src/contracts/${artifactFolder}/${file}`),
+        };
+    } catch (error) {
+        if (error.code === "MODULE_NOT_FOUND") return { missing: true };
+        return { problem: `${file} is invalid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * @param {string} abiName Name used in error messages
+ * @param {Array} abi
+ * @param {Array<string>} requiredFunctions Function names or signatures
+ * @returns {Array<string>} Problems found in the ABI
+ */
+function validateAbi(abiName, abi, requiredFunctions) {
+    let contractInterface;
+    try {
+        contractInterface = new ethers.utils.Interface(abi);
+    } catch (error) {
+        return [`${abiName} has an invalid ABI: ${error.message}`];
+    }
+    return requiredFunctions
+        .filter((fragment) => {
+            try {
+                contractInterface.getFunction(fragment);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        })
+        .map((fragment) => `${abiName} ABI is missing ${fragment}`);
+}
+
+/**
+ * Loads and validates the artifacts of a network once
+ * @param {NETWORK} network
+ * @returns {Object} { addresses, abis } keyed by contract name
+ */
+function loadArtifacts(network) {
+    if (loadedArtifacts[network]) return loadedArtifacts[network];
+    const entry = getNetwork(network);
+    if (!entry) throw new Error(`Unknown network ${network}`);
+
+    const problems = [];
+    const addresses = {};
+    const abis = {};
+    for (const name in CONTRACTS) {
+        const { artifact, requiredFunctions } = CONTRACTS[name];
+        const addressFile = `${artifact}-address.json`;
+        const abiFile = `${artifact}.json`;
+        // The deployed address is not needed when an override replaces it
+        if (!addressOverrides[network]?.[name]) {
+            const address = requireArtifact(entry.artifactFolder, addressFile);
+            if (address.problem) problems.push(address.problem);
+            else if (address.missing)
+                problems.push(`${addressFile} is missing`);
+            else addresses[name] = address.artifact["Module"];
+        }
+        const abiArtifact = requireArtifact(entry.artifactFolder, abiFile);
+        const abi = abiArtifact.artifact?.abi;
+        if (abiArtifact.problem) problems.push(abiArtifact.problem);
+        else if (!abi) problems.push(`${abiFile} is missing or has no abi`);
+        else {
+            abis[name] = abi;
+            problems.push(...validateAbi(artifact, abi, requiredFunctions));
+        }
+    }
+    if (problems.length) {
+        throw new Error(
+            `Contract artifacts for ${network} (${entry.artifactFolder}) are invalid:\n - ${problems.join("\n - ")}`
+        );
+    }
+    loadedArtifacts[network] = { addresses, abis };
+    return loadedArtifacts[network];
+}
+
+/**
+ * Loads the contracts of a network on demand, applying address overrides
+ * @param {NETWORK} network
+ * @returns {Object} { addresses, abis } keyed by contract name
+ */
+export function loadContracts(network) {
+    const { addresses, abis } = loadArtifacts(network);
+    const resolved = { ...addresses, ...addressOverrides[network] };
+    const invalid = Object.keys(resolved).filter(
+        (name) => !ethers.utils.isAddress(resolved[name])
+    );
+    if (invalid.length) {
+        throw new Error(
+            `Invalid contract address for ${network}: ${invalid
+                .map((name) => `${name}=${resolved[name]}`)
+                .join(", ")}`
+        );
+    }
+    return {
+        addresses: resolved,
+        abis: {
+            ...abis,
+            ERC20: require("./erc20abi.json"),
+            NFT: require("./erc721abi.json"),
+        },
+    };
+}
+
+/**
+ * Checks that code is deployed at every contract address, catching artifacts or
+ * overrides that point at another network
+ * @param {Provider} provider Provider of the network the addresses were loaded for
+ * @param {Object} addresses Addresses keyed by contract name, see loadContracts()
+ * @returns {Promise<void>} Rejects listing the contracts without code
+ */
+export async function verifyContractCode(provider, addresses) {
+    const names = Object.keys(addresses);
+    const codes = await Promise.all(
+        names.map((name) =>
+            withRetry(() => provider.getCode(addresses[name]), {
+                label: `getCode of ${name}`,
+            })
+        )
+    );
+    const empty = names.filter((_, i) => codes[i] === "0x");
+    if (empty.length) {
+        throw new Error(
+            `No contract code at ${empty
+                .map((name) => `${name}=${addresses[name]}`)
+                .join(", ")}`
+        );
+    }
+}
@@ -0,0 +1,124 @@
+import { Amount } from "./amount";
+
+export const CREDIT_STRATEGY = {
+    IN_ORDER: "in-order",
+    MOST_EXPENSIVE_FIRST: "most-expensive-first",
+    PROPORTIONAL: "proportional",
+    EXPLICIT: "explicit",
+};
+
+/**
+ * @param {string} address NFT contract address
+ * @param {string} tokenId
+ * @returns {string} Key of the NFT in an explicit credit map
+ */
+export function creditKey(address, tokenId) {
+    return `${address.toLowerCase()}:${tokenId}`;
+}
+
+/**
+ * Fills fees up to their full amount in the given order until credit runs out
+ * @param {Array<Amount>} fees
+ * @param {Amount} credit
+ * @param {Array<Number>} order Indexes of fees in the order they are filled
+ * @param {Array<Amount>} [credits] Credits already applied, topped up in place
+ * @returns {Array<Amount>} Credit per fee
+ */
+function fillInOrder(fees, credit, order, credits = fees.map(() => null)) {
+    let remaining = credit;
+    for (const i of order) {
+        const applied = credits[i] || Amount.zero(fees[i].decimals);
+        const topUp = remaining.min(fees[i].sub(applied));
+        credits[i] = applied.add(topUp);
+        remaining = remaining.sub(topUp);
+    }
+    return credits;
+}
+
+/**
+ * Splits credit over fees in proportion to each fee, rounding down. Dust left by
+ * rounding goes to the first fees with room left.
+ * @param {Array<Amount>} fees
+ * @param {Amount} credit
+ * @returns {Array<Amount>} Credit per fee
+ */
+function allocateProportional(fees, credit) {
+    const totalFee = Amount.sum(fees, credit.decimals);
+    const order = fees.map((_, i) => i);
+    if (totalFee.isZero() || credit.gte(totalFee))
+        return fillInOrder(fees, credit, order);
+    const credits = fees.map((fee) =>
+        fee.mulDiv(credit.toBigNumber(), totalFee.toBigNumber())
+    );
+    const dust = credit.sub(Amount.sum(credits, credit.decimals));
+    return fillInOrder(fees, dust, order, credits);
+}
+
+/**
+ * @param {Array} items { address, tokenId, fee }
+ * @param {Amount} credit
+ * @param {Object} creditMap Credit per NFT keyed by creditKey()
+ * @returns {Array<Amount>} Credit per fee
+ */
+function allocateExplicit(items, credit, creditMap = {}) {
+    const credits = items.map(({ address, tokenId, fee }) => {
+        const amount = Amount.from(
+            creditMap[creditKey(address, tokenId)],
+            fee.decimals
+        );
+        if (amount.isNegative() || amount.gt(fee)) {
+            throw new Error(
+                `Credit for ${address} #${tokenId} must be between 0 and its fee`
+            );
+        }
+        return amount;
+    });
+    if (Amount.sum(credits, credit.decimals).gt(credit))
+        throw new Error("Credit map uses more credit than available");
+    return credits;
+}
+
+/**
+ * Decides how much credit each NFT in a checkout uses. Never applies more than an
+ * NFT's fee or more than the available credit in total.
+ * @param {Array} items NFTs { address, tokenId, fee } with fee as an Amount
+ * @param {Amount|string} credit Credit available to the checkout
+ * @param {CREDIT_STRATEGY} [strategy]
+ * @param {Object} options
+ * @param {Object} [options.creditMap] Credit per NFT keyed by creditKey(), for CREDIT_STRATEGY.EXPLICIT
+ * @returns {Array<Amount>} Credit used per item, in the order of items
+ */
+export function allocateCredits(
+    items,
+    credit,
+    strategy = CREDIT_STRATEGY.IN_ORDER,
+    { creditMap } = {}
+) {
+    const available = Amount.from(credit);
+    if (available.isNegative()) throw new Error("Credits cannot be negative");
+    const fees = items.map(({ fee }) => Amount.from(fee));
+    const inOrder = fees.map((_, i) => i);
+    switch (strategy) {
+        case CREDIT_STRATEGY.IN_ORDER:
+            return fillInOrder(fees, available, inOrder);
+        case CREDIT_STRATEGY.MOST_EXPENSIVE_FIRST:
+            return fillInOrder(
+                fees,
+                available,
+                // Stable sort keeps cart order between equal fees
+                [...inOrder].sort((a, b) =>
+                    fees[b].gt(fees[a]) ? 1 : fees[b].lt(fees[a]) ? -1 : 0
+                )
+            );
+        case CREDIT_STRATEGY.PROPORTIONAL:
+            return allocateProportional(fees, available);
+        case CREDIT_STRATEGY.EXPLICIT:
+            return allocateExplicit(
+                items.map((item, i) => ({ ...item, fee: fees[i] })),
+                available,
+                creditMap
+            );
+        default:
+            throw new Error(`Unknown credit strategy ${strategy}`);
+    }
+}
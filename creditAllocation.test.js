@@ -0,0 +1,163 @@
+import { Amount } from "./amount";
+import {
+    allocateCredits,
+    creditKey,
+    CREDIT_STRATEGY,
+} from "./creditAllocation";
+
+const NFT_A = "0x00000000000000000000000000000000000000Aa";
+const NFT_B = "0x00000000000000000000000000000000000000Bb";
+
+const item = (address, tokenId, fee) => ({
+    address,
+    tokenId,
+    fee: Amount.from(fee),
+});
+
+const toStrings = (credits) => credits.map((credit) => credit.toString());
+
+describe("allocateCredits", () => {
+    const cart = [
+        item(NFT_A, "1", "0.1"),
+        item(NFT_A, "2", "0.3"),
+        item(NFT_B, "3", "0.2"),
+    ];
+
+    it("fills fees in cart order by default", () => {
+        expect(toStrings(allocateCredits(cart, "0.35"))).toEqual([
+            "0.1",
+            "0.25",
+            "0.0",
+        ]);
+    });
+
+    it("fills the most expensive fees first", () => {
+        expect(
+            toStrings(
+                allocateCredits(
+                    cart,
+                    "0.45",
+                    CREDIT_STRATEGY.MOST_EXPENSIVE_FIRST
+                )
+            )
+        ).toEqual(["0.0", "0.3", "0.15"]);
+    });
+
+    it("keeps cart order between equal fees when most expensive first", () => {
+        const equal = [item(NFT_A, "1", "0.2"), item(NFT_B, "2", "0.2")];
+        expect(
+            toStrings(
+                allocateCredits(
+                    equal,
+                    "0.3",
+                    CREDIT_STRATEGY.MOST_EXPENSIVE_FIRST
+                )
+            )
+        ).toEqual(["0.2", "0.1"]);
+    });
+
+    it("splits credit in proportion to fees", () => {
+        expect(
+            toStrings(
+                allocateCredits(cart, "0.3", CREDIT_STRATEGY.PROPORTIONAL)
+            )
+        ).toEqual(["0.05", "0.15", "0.1"]);
+    });
+
+    it("gives the rounding remainder of a proportional split to the first fees", () => {
+        const thirds = [
+            item(NFT_A, "1", "0.000000000000000001"),
+            item(NFT_A, "2", "0.000000000000000001"),
+            item(NFT_B, "3", "0.000000000000000001"),
+        ];
+        const credits = allocateCredits(
+            thirds,
+            "0.000000000000000002",
+            CREDIT_STRATEGY.PROPORTIONAL
+        );
+        expect(
+            credits.map((credit) => credit.toBigNumber().toString())
+        ).toEqual(["1", "1", "0"]);
+        expect(Amount.sum(credits).toString()).toBe("0.000000000000000002");
+    });
+
+    it("uses the amounts of an explicit credit map", () => {
+        const creditMap = {
+            [creditKey(NFT_A, "2")]: "0.1",
+            [creditKey(NFT_B, "3")]: "0.2",
+        };
+        expect(
+            toStrings(
+                allocateCredits(cart, "0.3", CREDIT_STRATEGY.EXPLICIT, {
+                    creditMap,
+                })
+            )
+        ).toEqual(["0.0", "0.1", "0.2"]);
+    });
+
+    it("rejects an explicit credit above the NFT's fee", () => {
+        const creditMap = { [creditKey(NFT_A, "1")]: "0.2" };
+        expect(() =>
+            allocateCredits(cart, "1", CREDIT_STRATEGY.EXPLICIT, {
+                creditMap,
+            })
+        ).toThrow("must be between 0 and its fee");
+    });
+
+    it("rejects an explicit credit map using more than the available credit", () => {
+        const creditMap = {
+            [creditKey(NFT_A, "2")]: "0.3",
+            [creditKey(NFT_B, "3")]: "0.2",
+        };
+        expect(() =>
+            allocateCredits(cart, "0.4", CREDIT_STRATEGY.EXPLICIT, {
+                creditMap,
+            })
+        ).toThrow("more credit than available");
+    });
+
+    it.each([
+        CREDIT_STRATEGY.IN_ORDER,
+        CREDIT_STRATEGY.MOST_EXPENSIVE_FIRST,
+        CREDIT_STRATEGY.PROPORTIONAL,
+    ])("caps credit larger than the total fee at each fee (%s)", (strategy) => {
+        expect(toStrings(allocateCredits(cart, "5", strategy))).toEqual([
+            "0.1",
+            "0.3",
+            "0.2",
+        ]);
+    });
+
+    it.each([
+        CREDIT_STRATEGY.IN_ORDER,
+        CREDIT_STRATEGY.MOST_EXPENSIVE_FIRST,
+        CREDIT_STRATEGY.PROPORTIONAL,
+    ])("applies no credit to zero fee items (%s)", (strategy) => {
+        const withFree = [
+            item(NFT_A, "1", "0"),
+            item(NFT_B, "2", "0.2"),
+            item(NFT_B, "3", "0"),
+        ];
+        expect(toStrings(allocateCredits(withFree, "0.1", strategy))).toEqual([
+            "0.0",
+            "0.1",
+            "0.0",
+        ]);
+    });
+
+    it("applies nothing when every fee is zero", () => {
+        const free = [item(NFT_A, "1", "0"), item(NFT_B, "2", "0")];
+        expect(
+            toStrings(allocateCredits(free, "1", CREDIT_STRATEGY.PROPORTIONAL))
+        ).toEqual(["0.0", "0.0"]);
+    });
+
+    it("rejects negative credit and unknown strategies", () => {
+        expect(() => allocateCredits(cart, "-1")).toThrow(
+            "Credits cannot be negative"
+        );
+        expect(() => allocateCredits(cart, "1", "cheapest")).toThrow(
+            "Unknown credit strategy cheapest"
+        );
+    });
+});
@@ -0,0 +1,358 @@
+import {
+    cancelTransactionRequest,
+    getUser,
+    sendTransactions,
+} from "./serverRequests";
+import { withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+/**
+ * A data source serves every read that does not go through a contract call, plus the
+ * relayed proxy wallet transactions. Implementations provide:
+ *  - getTokenBalances(address) => { tokenBalances: [{ contractAddress, tokenBalance }] }
+ *  - getTokenMetadata(contractAddress) => { name, symbol, decimals, logo }
+ *  - getNftsForOwner(owner, { contractAddresses, pageKey, pageSize }) => { ownedNfts, pageKey, totalCount }
+ *  - getNftsForOwnerIterator(owner, { contractAddresses, pageSize }) => AsyncIterable<nft>
+ *  - getAssetTransfers(params) => { transfers, pageKey }
+ *  - getUser(account) => { username, proxyWalletAddress }
+ *  - sendTransactions(publicKey, txs) => transaction hash
+ *  - cancelTransactionRequest(publicKey, proxyWallet, id) => transaction hash
+ */
+
+/**
+ * Data source backed by Alchemy and the ZipZap server.
+ * Alchemy reads and user lookups go through the shared retry policy, relayed
+ * transactions are sent once.
+ * @param {Alchemy} alchemy Alchemy SDK instance
+ * @param {Object} [policy] Retry policy, see createRetryPolicy()
+ * @returns {Object} Data source
+ */
+export function createAlchemyDataSource(alchemy, policy) {
+    const retry = (label, fn) => withRetry(fn, { label, policy });
+    const dataSource = {
+        getTokenBalances: (address) =>
+            retry("alchemy.getTokenBalances", () =>
+                alchemy.core.getTokenBalances(address)
+            ),
+        getTokenMetadata: (contractAddress) =>
+            retry("alchemy.getTokenMetadata", () =>
+                alchemy.core.getTokenMetadata(contractAddress)
+            ),
+        getNftsForOwner: (owner, options) =>
+            retry("alchemy.getNftsForOwner", () =>
+                alchemy.nft.getNftsForOwner(owner, options)
+            ),
+        async *getNftsForOwnerIterator(owner, options = {}) {
+            let pageKey;
+            do {
+                const response = await dataSource.getNftsForOwner(owner, {
+                    ...options,
+                    pageKey,
+                });
+                yield* response.ownedNfts;
+                pageKey = response.pageKey;
+            } while (pageKey);
+        },
+        getAssetTransfers: (params) =>
+            retry("alchemy.getAssetTransfers", () =>
+                alchemy.core.getAssetTransfers(params)
+            ),
+        getUser: (account) => retry("getUser", () => getUser(account)),
+        sendTransactions,
+        cancelTransactionRequest,
+    };
+    return dataSource;
+}
+
+const ERC20_BALANCE_ABI = [
+    "function balanceOf(address owner) view returns (uint256)",
+];
+const ERC721_OWNER_ABI = [
+    "function ownerOf(uint256 tokenId) view returns (address)",
+];
+
+const TRANSFER_TOPIC = ethers.utils.id("Transfer(address,address,uint256)");
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @param {Object} transfer Alchemy-shaped asset transfer
+ * @param {string} [fromBlock] Hex block number, inclusive
+ * @param {string} [toBlock] Hex block number or "latest", inclusive
+ * @returns {boolean} Whether the transfer was mined within the range
+ */
+function inBlockRange(transfer, fromBlock, toBlock) {
+    const block = ethers.BigNumber.from(transfer.blockNum);
+    if (fromBlock && fromBlock !== "latest" && block.lt(fromBlock))
+        return false;
+    if (toBlock && toBlock !== "latest" && block.gt(toBlock)) return false;
+    return true;
+}
+
+/**
+ * Turns the ERC20 and ERC721 Transfer logs of a receipt into Alchemy-shaped transfers,
+ * the way Alchemy indexes them on live networks
+ * @param {TransactionReceipt} receipt
+ * @returns {Array} Asset transfers
+ */
+function toLogTransfers(receipt) {
+    const blockNum = ethers.utils.hexValue(receipt.blockNumber);
+    const fromTopic = (topic) =>
+        ethers.utils.getAddress(ethers.utils.hexDataSlice(topic, 12));
+    return receipt.logs
+        .filter(({ topics }) => topics[0] === TRANSFER_TOPIC)
+        .map(({ address, topics, data, logIndex }) => {
+            const transfer = {
+                uniqueId: `${receipt.transactionHash}:log:${logIndex}`,
+                hash: receipt.transactionHash,
+                from: fromTopic(topics[1]),
+                to: fromTopic(topics[2]),
+                asset: null,
+                blockNum,
+            };
+            // ERC721 indexes the token id as a fourth topic
+            if (topics.length === 4)
+                return {
+                    ...transfer,
+                    category: "erc721",
+                    erc721TokenId: ethers.utils.hexValue(topics[3]),
+                    value: null,
+                    rawContract: { value: null, address, decimal: null },
+                };
+            return {
+                ...transfer,
+                category: "erc20",
+                value: null,
+                rawContract: {
+                    value: ethers.utils.hexValue(data),
+                    address,
+                    decimal: null,
+                },
+            };
+        });
+}
+
+/**
+ * @param {Array} items
+ * @param {string} pageKey Offset of the page, as returned for the previous page
+ * @param {Number} pageSize
+ * @returns {Object} { page, pageKey }
+ */
+function paginate(items, pageKey, pageSize) {
+    const start = Number(pageKey || 0);
+    const end = start + pageSize;
+    return {
+        page: items.slice(start, end),
+        pageKey: end < items.length ? String(end) : undefined,
+    };
+}
+
+/**
+ * In-memory data source for local development and tests.
+ * With a provider, token balances and NFT ownership are read from the chain (e.g. a Hardhat
+ * or anvil node with the Z4 contracts deployed) and relayed transactions are sent by
+ * impersonating the proxy wallet, their token and NFT transfers are recorded for
+ * getAssetTransfers(). Without one, fixture owners and balances are used as is.
+ * @param {Object} fixtures
+ * @param {Object} [fixtures.users] { username, proxyWalletAddress } keyed by account
+ * @param {Array} [fixtures.tokens] ERC20s { address, name, symbol, decimals, logo, balances }
+ * @param {Array} [fixtures.nfts] Alchemy-shaped NFTs { contract: { address }, tokenId, metadata, owner }
+ * @param {Array} [fixtures.transfers] Alchemy-shaped asset transfers
+ * @param {JsonRpcProvider} [provider] Provider of the local chain
+ * @returns {Object} Data source
+ */
+export function createMemoryDataSource(fixtures = {}, provider) {
+    const users = {};
+    for (const account in fixtures.users || {}) {
+        users[account.toLowerCase()] = fixtures.users[account];
+    }
+    const tokens = fixtures.tokens || [];
+    const nfts = fixtures.nfts || [];
+    let transfers = [...(fixtures.transfers || [])];
+
+    const getTokenBalance = async (token, owner) => {
+        if (provider) {
+            const contract = new ethers.Contract(
+                token.address,
+                ERC20_BALANCE_ABI,
+                provider
+            );
+            return await contract.balanceOf(owner);
+        }
+        const balances = token.balances || {};
+        const key = Object.keys(balances).find((address) =>
+            sameAddress(address, owner)
+        );
+        return ethers.BigNumber.from(balances[key] || 0);
+    };
+
+    const getNftOwner = async (nft) => {
+        if (!provider) return nft.owner;
+        const contract = new ethers.Contract(
+            nft.contract.address,
+            ERC721_OWNER_ABI,
+            provider
+        );
+        try {
+            return await contract.ownerOf(nft.tokenId);
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    const getOwnedNfts = async (owner, contractAddresses) => {
+        const owned = [];
+        for (const nft of nfts) {
+            if (
+                contractAddresses &&
+                !contractAddresses.some((address) =>
+                    sameAddress(address, nft.contract.address)
+                )
+            )
+                continue;
+            if (sameAddress(await getNftOwner(nft), owner)) owned.push(nft);
+        }
+        return owned;
+    };
+
+    const impersonate = async (address) => {
+        try {
+            await provider.send("hardhat_impersonateAccount", [address]);
+            await provider.send("hardhat_setBalance", [
+                address,
+                "0x56BC75E2D63100000",
+            ]);
+        } catch (error) {
+            await provider.send("anvil_impersonateAccount", [address]);
+            await provider.send("anvil_setBalance", [
+                address,
+                "0x56BC75E2D63100000",
+            ]);
+        }
+    };
+
+    const dataSource = {
+        async getTokenBalances(address) {
+            const tokenBalances = [];
+            for (const token of tokens) {
+                const balance = await getTokenBalance(token, address);
+                tokenBalances.push({
+                    contractAddress: token.address,
+                    tokenBalance: ethers.utils.hexZeroPad(
+                        balance.toHexString(),
+                        32
+                    ),
+                });
+            }
+            return { address, tokenBalances };
+        },
+        async getTokenMetadata(contractAddress) {
+            const token = tokens.find(({ address }) =>
+                sameAddress(address, contractAddress)
+            );
+            if (!token)
+                return { name: null, symbol: null, decimals: null, logo: null };
+            const { name, symbol, decimals, logo = null } = token;
+            return { name, symbol, decimals, logo };
+        },
+        async getNftsForOwner(owner, options = {}) {
+            const owned = await getOwnedNfts(owner, options.contractAddresses);
+            const { page, pageKey } = paginate(
+                owned,
+                options.pageKey,
+                options.pageSize || 100
+            );
+            return { ownedNfts: page, pageKey, totalCount: owned.length };
+        },
+        async *getNftsForOwnerIterator(owner, options = {}) {
+            let pageKey;
+            do {
+                const response = await dataSource.getNftsForOwner(owner, {
+                    ...options,
+                    pageKey,
+                });
+                yield* response.ownedNfts;
+                pageKey = response.pageKey;
+            } while (pageKey);
+        },
+        async getAssetTransfers(params = {}) {
+            const matches = transfers
+                .filter(
+                    (transfer) =>
+                        (!params.fromAddress ||
+                            sameAddress(transfer.from, params.fromAddress)) &&
+                        (!params.toAddress ||
+                            sameAddress(transfer.to, params.toAddress)) &&
+                        (!params.category ||
+                            params.category.includes(transfer.category)) &&
+                        (!params.contractAddresses ||
+                            params.contractAddresses.some((address) =>
+                                sameAddress(
+                                    address,
+                                    transfer.rawContract?.address
+                                )
+                            )) &&
+                        inBlockRange(transfer, params.fromBlock, params.toBlock)
+                )
+                .sort((a, b) =>
+                    ethers.BigNumber.from(a.blockNum).gt(b.blockNum) ? 1 : -1
+                );
+            if (params.order !== "asc") matches.reverse();
+            const { page, pageKey } = paginate(
+                matches,
+                params.pageKey,
+                params.maxCount ? Number(params.maxCount) : 1000
+            );
+            return { transfers: page, pageKey };
+        },
+        async getUser(account) {
+            return (
+                users[account.toLowerCase()] || {
+                    username: null,
+                    proxyWalletAddress: null,
+                }
+            );
+        },
+        async sendTransactions(publicKey, txs) {
+            if (!provider)
+                throw new Error("Memory data source has no chain to send to");
+            let hash;
+            for (const { from, to, data, value } of txs) {
+                await impersonate(from);
+                const response = await provider
+                    .getSigner(from)
+                    .sendTransaction({ to, data, value });
+                const receipt = await response.wait();
+                transfers = [
+                    ...transfers,
+                    {
+                        uniqueId: `${response.hash}:external`,
+                        hash: response.hash,
+                        from,
+                        to,
+                        value: value
+                            ? Number(ethers.utils.formatEther(value))
+                            : 0,
+                        rawContract: {
+                            value: ethers.utils.hexValue(value || 0),
+                            address: null,
+                            decimal: "0x12",
+                        },
+                        asset: null,
+                        category: "external",
+                        blockNum: ethers.utils.hexValue(receipt.blockNumber),
+                    },
+                    ...toLogTransfers(receipt),
+                ];
+                hash = response.hash;
+            }
+            return hash;
+        },
+        async cancelTransactionRequest(publicKey, proxyWallet, id) {
+            // Local chains mine relayed transactions immediately
+            throw new Error(`Transaction ${id} has already been mined`);
+        },
+    };
+    return dataSource;
+}
@@ -0,0 +1,296 @@
+import { createMemoryDataSource } from "./dataSources";
+
+const ethers = require("ethers");
+
+jest.mock("./serverRequests", () => ({}), { virtual: true });
+
+const NFT = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000A1"
+);
+const VAULT = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000B2"
+);
+const LENDER = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000C3"
+);
+const LENDER_PROXY = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000C4"
+);
+const RENTER = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000D5"
+);
+const RENTER_PROXY = ethers.utils.getAddress(
+    "0x00000000000000000000000000000000000000D6"
+);
+
+const ERC721 = new ethers.utils.Interface([
+    "function transferFrom(address from, address to, uint256 tokenId)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+]);
+const VAULT_CALLS = new ethers.utils.Interface([
+    "function withdraw(address nft, uint256 tokenId, uint256 value)",
+    "function withdrawMultiple(address[] nfts, uint256[] tokenIds, uint256[] values, address referer, uint256[] creditUsed)",
+]);
+
+const toHash = (n) => ethers.utils.hexZeroPad(ethers.utils.hexValue(n), 32);
+
+/**
+ * Local chain answering the JSON-RPC calls the memory data source makes, with an
+ * ERC721 at NFT and a Vault at VAULT that hands deposited NFTs to whoever withdraws them
+ */
+class LocalChain extends ethers.providers.StaticJsonRpcProvider {
+    constructor(owners) {
+        super("http://localhost:8545", { chainId: 31337, name: "local" });
+        this.owners = owners;
+        this.head = 1;
+        this.transactions = {};
+        this.receipts = {};
+    }
+
+    move(tokenId, from, to, logs) {
+        if (this.owners[tokenId] !== from)
+            throw new Error(`${from} does not own #${tokenId}`);
+        this.owners[tokenId] = to;
+        const { data, topics } = ERC721.encodeEventLog(
+            ERC721.getEvent("Transfer"),
+            [from, to, tokenId]
+        );
+        logs.push({ address: NFT, data, topics });
+    }
+
+    execute({ from, to, data }) {
+        const logs = [];
+        if (to === NFT) {
+            const { args } = ERC721.parseTransaction({ data });
+            if (args.from !== from) throw new Error("Not the owner");
+            this.move(args.tokenId.toString(), args.from, args.to, logs);
+        } else if (to === VAULT) {
+            const { name, args } = VAULT_CALLS.parseTransaction({ data });
+            const tokenIds =
+                name === "withdrawMultiple" ? args.tokenIds : [args.tokenId];
+            for (const tokenId of tokenIds)
+                this.move(tokenId.toString(), VAULT, from, logs);
+        }
+        return logs;
+    }
+
+    async send(method, params) {
+        switch (method) {
+            case "eth_chainId":
+                return "0x7a69";
+            case "eth_blockNumber":
+                return ethers.utils.hexValue(this.head);
+            case "eth_estimateGas":
+                return "0x30000";
+            case "hardhat_impersonateAccount":
+            case "hardhat_setBalance":
+                return true;
+            case "eth_call": {
+                const { args } = ERC721.parseTransaction(params[0]);
+                return ethers.utils.defaultAbiCoder.encode(
+                    ["address"],
+                    [this.owners[args.tokenId.toString()]]
+                );
+            }
+            case "eth_sendTransaction": {
+                const tx = params[0];
+                const from = ethers.utils.getAddress(tx.from);
+                const to = ethers.utils.getAddress(tx.to);
+                const logs = this.execute({ from, to, data: tx.data });
+                const blockNumber = ++this.head;
+                const hash = toHash(blockNumber);
+                const block = {
+                    blockHash: toHash(blockNumber + 1000),
+                    blockNumber: ethers.utils.hexValue(blockNumber),
+                    transactionHash: hash,
+                    transactionIndex: "0x0",
+                };
+                this.transactions[hash] = {
+                    ...block,
+                    hash,
+                    from,
+                    to,
+                    data: tx.data || "0x",
+                    value: tx.value || "0x0",
+                    gas: tx.gas,
+                    gasPrice: "0x1",
+                    nonce: ethers.utils.hexValue(blockNumber),
+                    confirmations: 1,
+                };
+                this.receipts[hash] = {
+                    ...block,
+                    from,
+                    to,
+                    contractAddress: null,
+                    gasUsed: "0x5208",
+                    cumulativeGasUsed: "0x5208",
+                    effectiveGasPrice: "0x1",
+                    status: "0x1",
+                    type: "0x0",
+                    confirmations: 1,
+                    logsBloom: "0x",
+                    logs: logs.map((log, i) => ({
+                        ...block,
+                        ...log,
+                        logIndex: ethers.utils.hexValue(i),
+                    })),
+                };
+                return hash;
+            }
+            case "eth_getTransactionByHash":
+                return this.transactions[params[0]] || null;
+            case "eth_getTransactionReceipt":
+                return this.receipts[params[0]] || null;
+            default:
+                throw new Error(`Unsupported method ${method}`);
+        }
+    }
+}
+
+const getTokenIds = async (source, owner) => {
+    const { ownedNfts } = await source.getNftsForOwner(owner, {
+        contractAddresses: [NFT],
+    });
+    return ownedNfts.map(({ tokenId }) => tokenId);
+};
+
+describe("createMemoryDataSource", () => {
+    it("runs deposit, rent checkout and withdraw on a local chain", async () => {
+        const chain = new LocalChain({ 1: LENDER_PROXY, 2: LENDER_PROXY });
+        const source = createMemoryDataSource(
+            {
+                users: {
+                    [LENDER]: {
+                        username: "lender",
+                        proxyWalletAddress: LENDER_PROXY,
+                    },
+                    [RENTER]: {
+                        username: "renter",
+                        proxyWalletAddress: RENTER_PROXY,
+                    },
+                },
+                nfts: [
+                    { contract: { address: NFT }, tokenId: "1" },
+                    { contract: { address: NFT }, tokenId: "2" },
+                ],
+            },
+            chain
+        );
+        expect((await source.getUser(RENTER)).proxyWalletAddress).toBe(
+            RENTER_PROXY
+        );
+
+        await source.sendTransactions(
+            LENDER,
+            ["1", "2"].map((tokenId) => ({
+                from: LENDER_PROXY,
+                to: NFT,
+                data: ERC721.encodeFunctionData("transferFrom", [
+                    LENDER_PROXY,
+                    VAULT,
+                    tokenId,
+                ]),
+            }))
+        );
+        expect(await getTokenIds(source, VAULT)).toEqual(["1", "2"]);
+
+        const fee = ethers.utils.parseEther("0.01");
+        await source.sendTransactions(RENTER, [
+            {
+                from: RENTER_PROXY,
+                to: VAULT,
+                value: fee.toHexString(),
+                data: VAULT_CALLS.encodeFunctionData("withdrawMultiple", [
+                    [NFT],
+                    ["1"],
+                    [fee],
+                    ethers.constants.AddressZero,
+                    [0],
+                ]),
+            },
+        ]);
+        expect(await getTokenIds(source, RENTER_PROXY)).toEqual(["1"]);
+
+        await source.sendTransactions(LENDER, [
+            {
+                from: LENDER_PROXY,
+                to: VAULT,
+                data: VAULT_CALLS.encodeFunctionData("withdraw", [NFT, "2", 0]),
+            },
+        ]);
+        expect(await getTokenIds(source, LENDER_PROXY)).toEqual(["2"]);
+        expect(await getTokenIds(source, VAULT)).toEqual([]);
+
+        // The renter's checkout paid the fee and received the NFT in one block
+        const { transfers: sent } = await source.getAssetTransfers({
+            fromAddress: RENTER_PROXY,
+        });
+        expect(sent).toHaveLength(1);
+        expect(sent[0].rawContract.value).toBe(fee.toHexString());
+        const { transfers: received } = await source.getAssetTransfers({
+            toAddress: RENTER_PROXY,
+            category: ["erc721"],
+            contractAddresses: [NFT],
+        });
+        expect(received).toHaveLength(1);
+        expect(received[0].from).toBe(VAULT);
+        expect(received[0].blockNum).toBe(sent[0].blockNum);
+
+        // Rental starts are looked up by the vault's transfers of one collection
+        const { transfers: fromVault } = await source.getAssetTransfers({
+            fromAddress: VAULT,
+            contractAddresses: [NFT],
+            order: "desc",
+        });
+        expect(fromVault.map(({ to }) => to)).toEqual([
+            LENDER_PROXY,
+            RENTER_PROXY,
+        ]);
+    });
+
+    it("filters transfers by inclusive block range and contract", async () => {
+        const transfers = Array.from({ length: 60 }, (_, i) => ({
+            uniqueId: `${i}`,
+            hash: toHash(i + 1),
+            from: LENDER_PROXY,
+            to: VAULT,
+            category: "erc721",
+            blockNum: ethers.utils.hexValue(i + 1),
+            rawContract: { address: i % 2 ? NFT : VAULT },
+        }));
+        const source = createMemoryDataSource({ transfers });
+
+        const { transfers: range } = await source.getAssetTransfers({
+            fromBlock: "0xa",
+            toBlock: "0x14",
+            order: "desc",
+        });
+        expect(range.map(({ blockNum }) => Number(blockNum))).toEqual(
+            Array.from({ length: 11 }, (_, i) => 20 - i)
+        );
+        const { transfers: latest } = await source.getAssetTransfers({
+            fromBlock: "0x3a",
+            toBlock: "latest",
+            contractAddresses: [NFT.toLowerCase()],
+        });
+        expect(latest.map(({ blockNum }) => Number(blockNum))).toEqual([
+            60, 58,
+        ]);
+
+        // Passing the oldest block back as toBlock, as history paging does, moves on
+        let toBlock;
+        const seen = [];
+        for (let page = 0; page < 10; page++) {
+            const { transfers: batch } = await source.getAssetTransfers({
+                toBlock,
+                maxCount: 25,
+            });
+            const blocks = batch.map(({ blockNum }) => Number(blockNum));
+            seen.push(...blocks.filter((block) => !seen.includes(block)));
+            if (batch.length < 25) break;
+            toBlock = ethers.utils.hexValue(blocks[blocks.length - 1] - 1);
+        }
+        expect(seen).toHaveLength(60);
+    });
+});
@@ -0,0 +1,200 @@
+import { classifyError, ERROR_KIND, withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+export const DEFAULT_FEE_POLICY = {
+    // Percent added on top of the node's gas estimate
+    gasMargin: 20,
+    // Fallback gas limit when estimation fails, scaled by the number of items
+    fallbackGasBase: 100000,
+    fallbackGasPerItem: 150000,
+    // Max fee covers this many consecutive full blocks of base fee increases
+    baseFeeMultiplier: 2,
+    // Priority fee in wei when the node does not suggest one
+    defaultPriorityFee: ethers.utils.parseUnits("1.5", "gwei"),
+    // Percent the fees of a speed-up or cancellation are raised over the pending transaction
+    replacementBump: 12,
+};
+
+// Estimation errors that say nothing about the transaction, anything else, reverts
+// included, is thrown so the wallet never asks to sign a failing transaction
+const FALLBACK_GAS_ERRORS = [
+    ERROR_KIND.NETWORK,
+    ERROR_KIND.TIMEOUT,
+    ERROR_KIND.RATE_LIMIT,
+];
+
+// Nodes reject replacements that raise the fees by less than this percent
+const MIN_REPLACEMENT_BUMP = 10;
+
+const max = (a, b) => (a.gt(b) ? a : b);
+
+/**
+ * @param {Object} overrides Any field of DEFAULT_FEE_POLICY
+ * @returns {Object} Fee policy
+ */
+export function createFeePolicy(overrides = {}) {
+    return { ...DEFAULT_FEE_POLICY, ...overrides };
+}
+
+/**
+ * Estimates the gas limit of a transaction with the policy's safety margin
+ * @param {Provider} provider
+ * @param {Object} tx Transaction request, including from
+ * @param {Object} options
+ * @param {Number} [options.items] Number of items the transaction handles, e.g. NFTs in a checkout
+ * @param {Object} [options.policy] Fee policy, see createFeePolicy()
+ * @returns {Promise<BigNumber>} Gas limit, a fallback scaled by items when the node
+ * cannot be reached
+ * @throws {RetryError} When the transaction would revert or estimation fails otherwise
+ */
+export async function estimateGasLimit(
+    provider,
+    tx,
+    { items = 1, policy = DEFAULT_FEE_POLICY } = {}
+) {
+    try {
+        const estimate = await withRetry(() => provider.estimateGas(tx), {
+            label: "estimateGas",
+        });
+        return estimate.mul(100 + policy.gasMargin).div(100);
+    } catch (error) {
+        if (!FALLBACK_GAS_ERRORS.includes(classifyError(error))) throw error;
+        console.log("estimate gas error, using fallback", error);
+        return ethers.BigNumber.from(policy.fallbackGasPerItem)
+            .mul(Math.max(items, 1))
+            .add(policy.fallbackGasBase);
+    }
+}
+
+/**
+ * @param {Provider} provider
+ * @param {BigNumber} fallback
+ * @returns {Promise<BigNumber>} Priority fee suggested by the node
+ */
+async function getPriorityFee(provider, fallback) {
+    try {
+        return ethers.BigNumber.from(
+            await provider.send("eth_maxPriorityFeePerGas", [])
+        );
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Suggests EIP-1559 fees from the latest base fee, or a legacy gas price on chains without one
+ * @param {Provider} provider
+ * @param {Object} options
+ * @param {Object} [options.policy] Fee policy, see createFeePolicy()
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+export async function getFeeSuggestion(
+    provider,
+    { policy = DEFAULT_FEE_POLICY } = {}
+) {
+    const feeData = await withRetry(() => provider.getFeeData(), {
+        label: "getFeeData",
+    });
+    if (!feeData.lastBaseFeePerGas) return { gasPrice: feeData.gasPrice };
+    const maxPriorityFeePerGas = await getPriorityFee(
+        provider,
+        feeData.maxPriorityFeePerGas || policy.defaultPriorityFee
+    );
+    return {
+        maxFeePerGas: feeData.lastBaseFeePerGas
+            .mul(policy.baseFeeMultiplier)
+            .add(maxPriorityFeePerGas),
+        maxPriorityFeePerGas,
+    };
+}
+
+/**
+ * Fees for a transaction replacing a pending one with the same nonce. Raises the pending
+ * fees by the replacement bump, or uses the current suggestion if that is higher.
+ * @param {Provider} provider
+ * @param {TransactionResponse} pending Transaction to replace
+ * @param {Object} options
+ * @param {Object} [options.policy] Fee policy, see createFeePolicy()
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+export async function getReplacementFees(
+    provider,
+    pending,
+    { policy = DEFAULT_FEE_POLICY } = {}
+) {
+    const suggested = await getFeeSuggestion(provider, { policy });
+    const percent =
+        100 + Math.max(policy.replacementBump, MIN_REPLACEMENT_BUMP);
+    // Round up so the bump never falls short of the minimum
+    const bump = (fee) => fee.mul(percent).add(99).div(100);
+    if (pending.maxFeePerGas) {
+        const maxPriorityFeePerGas = max(
+            bump(pending.maxPriorityFeePerGas),
+            suggested.maxPriorityFeePerGas || suggested.gasPrice
+        );
+        return {
+            maxFeePerGas: max(
+                max(
+                    bump(pending.maxFeePerGas),
+                    suggested.maxFeePerGas || suggested.gasPrice
+                ),
+                maxPriorityFeePerGas
+            ),
+            maxPriorityFeePerGas,
+        };
+    }
+    return {
+        gasPrice: max(
+            bump(pending.gasPrice),
+            suggested.gasPrice || suggested.maxFeePerGas
+        ),
+    };
+}
+
+/**
+ * Adds a gas limit and fees to a transaction request
+ * @param {Provider} provider
+ * @param {Object} tx Transaction request, including from
+ * @param {Object} options See estimateGasLimit()
+ * @returns {Promise<Object>} Transaction request ready to sign
+ */
+export async function withFees(provider, tx, options = {}) {
+    const [gasLimit, fees] = await Promise.all([
+        estimateGasLimit(provider, tx, options),
+        getFeeSuggestion(provider, options),
+    ]);
+    return { ...tx, gasLimit, ...fees };
+}
+
+/**
+ * Sends a transaction from the signer with estimated gas and fees
+ * @param {Signer} signer
+ * @param {Object} tx Transaction request
+ * @param {Object} options See estimateGasLimit()
+ * @returns {Promise<TransactionResponse>}
+ */
+export async function sendWithFees(signer, tx, options = {}) {
+    const from = tx.from || (await signer.getAddress());
+    return await signer.sendTransaction(
+        await withFees(signer.provider, { ...tx, from }, options)
+    );
+}
+
+/**
+ * Calls a state changing contract function with estimated gas and fees
+ * @param {Contract} contract ethers contract connected to a signer
+ * @param {string} method Function name or signature
+ * @param {Array} args
+ * @param {Object} options See estimateGasLimit()
+ * @returns {Promise<TransactionResponse>}
+ */
+export async function sendContractTransaction(
+    contract,
+    method,
+    args = [],
+    options = {}
+) {
+    const tx = await contract.populateTransaction[method](...args);
+    return await sendWithFees(contract.signer, tx, options);
+}
@@ -0,0 +1,217 @@
+import { expandTokenUri } from "./tokenStandards";
+
+export const DEFAULT_IPFS_GATEWAYS = [
+    "https://ipfs.io/ipfs/",
+    "https://cloudflare-ipfs.com/ipfs/",
+    "https://gateway.pinata.cloud/ipfs/",
+    "https://dweb.link/ipfs/",
+];
+
+export const DEFAULT_ARWEAVE_GATEWAYS = ["https://arweave.net/"];
+
+export const PLACEHOLDER_IMAGE =
+    "data:image/svg+xml;base64," +
+    btoa(
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><rect width="100" height="100" fill="#2d3748"/><text x="50" y="55" font-size="12" text-anchor="middle" fill="#a0aec0">No image</text></svg>'
+    );
+
+// Matches gateway urls such as https://ipfs.io/ipfs/<cid>/1.json
+const IPFS_PATH = /^https?:\/\/[^/]+\/ipfs\/(.+)$/;
+
+/**
+ * @param {string} base64
+ * @returns {string} Decoded UTF-8 string
+ */
+function decodeBase64(base64) {
+    const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * @param {string} uri data: URI
+ * @returns {string} Decoded payload
+ */
+function decodeDataUri(uri) {
+    const comma = uri.indexOf(",");
+    const header = uri.slice(5, comma);
+    const payload = uri.slice(comma + 1);
+    return header.endsWith(";base64")
+        ? decodeBase64(payload)
+        : decodeURIComponent(payload);
+}
+
+/**
+ * @param {*} metadata Metadata as returned by Alchemy
+ * @returns {boolean} Whether there is no usable metadata
+ */
+function isEmptyMetadata(metadata) {
+    if (!metadata || typeof metadata !== "object") return true;
+    return !Object.keys(metadata).some(
+        (key) => key !== "error" && key !== "metadataError"
+    );
+}
+
+/**
+ * @param {Array} attributes
+ * @returns {Array} Attributes with a trait_type and a value
+ */
+function normaliseAttributes(attributes) {
+    if (!Array.isArray(attributes)) return [];
+    return attributes
+        .filter(
+            (attribute) =>
+                attribute &&
+                typeof attribute === "object" &&
+                attribute.value !== undefined &&
+                attribute.value !== null
+        )
+        .map((attribute) => ({
+            ...attribute,
+            trait_type: String(attribute.trait_type ?? "Property"),
+        }));
+}
+
+/**
+ * Creates a resolver that turns NFT metadata into one validated schema, fetching the
+ * tokenURI itself when Alchemy has no copy
+ * @param {Object} options
+ * @param {Array<string>} [options.ipfsGateways] IPFS gateways in order of preference
+ * @param {Array<string>} [options.arweaveGateways] Arweave gateways in order of preference
+ * @param {string} [options.placeholderImage] Image used when the metadata has none
+ * @param {Number} [options.timeout] Time in ms before trying the next gateway
+ * @returns {Object} Metadata resolver
+ */
+export function createMetadataResolver({
+    ipfsGateways = DEFAULT_IPFS_GATEWAYS,
+    arweaveGateways = DEFAULT_ARWEAVE_GATEWAYS,
+    placeholderImage = PLACEHOLDER_IMAGE,
+    timeout = 8000,
+} = {}) {
+    const resolver = {
+        /**
+         * @param {string} uri ipfs://, ar://, http(s):// or data: URI
+         * @returns {Array<string>} URLs to try in order, empty if the URI is not supported
+         */
+        getUrls(uri) {
+            if (!uri || typeof uri !== "string") return [];
+            const trimmed = uri.trim();
+            if (trimmed.startsWith("data:")) return [trimmed];
+            if (trimmed.startsWith("ipfs://")) {
+                const path = trimmed.slice(7).replace(/^ipfs\//, "");
+                return ipfsGateways.map((gateway) => gateway + path);
+            }
+            if (trimmed.startsWith("ar://")) {
+                const path = trimmed.slice(5);
+                return arweaveGateways.map((gateway) => gateway + path);
+            }
+            const ipfsPath = trimmed.match(IPFS_PATH);
+            if (ipfsPath) {
+                const urls = ipfsGateways.map(
+                    (gateway) => gateway + ipfsPath[1]
+                );
+                return [...new Set([trimmed, ...urls])];
+            }
+            if (/^https?:\/\//.test(trimmed)) return [trimmed];
+            return [];
+        },
+        /**
+         * @param {string} uri
+         * @returns {string} URL to display, null if the URI is not supported
+         */
+        toUrl(uri) {
+            return resolver.getUrls(uri)[0] || null;
+        },
+        /**
+         * Fetches JSON from the first gateway that answers
+         * @param {string} uri
+         * @returns {Promise<Object>}
+         */
+        async fetchJson(uri) {
+            const urls = resolver.getUrls(uri);
+            if (!urls.length) throw new Error(`Unsupported token URI ${uri}`);
+            if (urls[0].startsWith("data:"))
+                return JSON.parse(decodeDataUri(urls[0]));
+            let lastError;
+            for (const url of urls) {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), timeout);
+                try {
+                    const response = await fetch(url, {
+                        signal: controller.signal,
+                    });
+                    if (!response.ok) {
+                        throw new Error(
+                            `HTTP error! status: ${response.status}`
+                        );
+                    }
+                    return await response.json();
+                } catch (error) {
+                    lastError = error;
+                } finally {
+                    clearTimeout(timer);
+                }
+            }
+            throw lastError;
+        },
+        /**
+         * @param {Object} metadata Raw metadata
+         * @param {string} tokenId
+         * @returns {Object} Metadata with name, description, image, animation_url,
+         * external_url and attributes always set
+         */
+        normalise(metadata, tokenId) {
+            const raw = isEmptyMetadata(metadata) ? {} : metadata;
+            let image = raw.image || raw.image_url || null;
+            if (!image && raw.image_data) {
+                // On-chain SVG markup
+                image = raw.image_data.startsWith("data:")
+                    ? raw.image_data
+                    : "data:image/svg+xml;utf8," +
+                      encodeURIComponent(raw.image_data);
+            }
+            const toUrl = (uri) =>
+                uri ? resolver.toUrl(expandTokenUri(uri, tokenId)) : null;
+            return {
+                ...raw,
+                name:
+                    typeof raw.name === "string" && raw.name
+                        ? raw.name
+                        : `#${tokenId}`,
+                description:
+                    typeof raw.description === "string" ? raw.description : "",
+                image: toUrl(image) || placeholderImage,
+                animation_url: toUrl(raw.animation_url),
+                external_url: raw.external_url || null,
+                attributes: normaliseAttributes(raw.attributes),
+            };
+        },
+        /**
+         * Resolves an NFT's metadata, fetching its tokenURI when Alchemy's copy is empty
+         * @param {*} nft Alchemy NFT object
+         * @param {string} tokenId
+         * @param {function} [getTokenUri] Reads the tokenURI from chain when Alchemy has none
+         * @returns {Promise<Object>} Normalised metadata, see normalise()
+         */
+        async resolve(nft, tokenId, getTokenUri) {
+            let metadata = nft.metadata ?? nft.rawMetadata;
+            if (isEmptyMetadata(metadata)) {
+                try {
+                    let tokenUri =
+                        typeof nft.tokenUri === "string"
+                            ? nft.tokenUri
+                            : nft.tokenUri?.raw;
+                    if (!tokenUri && getTokenUri)
+                        tokenUri = await getTokenUri();
+                    metadata = await resolver.fetchJson(
+                        expandTokenUri(tokenUri, tokenId)
+                    );
+                } catch (error) {
+                    console.log("resolve metadata error", error);
+                    metadata = {};
+                }
+            }
+            return resolver.normalise(metadata, tokenId);
+        },
+    };
+    return resolver;
+}
@@ -0,0 +1,105 @@
+import { callWithRetry, withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+// Multicall3 is deployed at the same address on every supported chain
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+// Calls per eth_call, keeps requests under common RPC payload limits
+const MAX_BATCH_SIZE = 200;
+
+const deployments = {};
+
+/**
+ * @param {Provider} provider
+ * @returns {Promise<boolean>} Whether Multicall3 is deployed on the provider's chain
+ */
+export async function isMulticallDeployed(provider) {
+    const { chainId } = await provider.getNetwork();
+    if (deployments[chainId] === undefined) {
+        const code = await withRetry(
+            () => provider.getCode(MULTICALL3_ADDRESS),
+            { label: "getCode multicall" }
+        );
+        deployments[chainId] = code !== "0x";
+    }
+    return deployments[chainId];
+}
+
+/**
+ * @param {Contract} contract
+ * @param {string} method
+ * @param {string} returnData
+ * @returns {*} Decoded result, unwrapped if the function has a single output
+ */
+function decodeResult(contract, method, returnData) {
+    const decoded = contract.interface.decodeFunctionResult(method, returnData);
+    return decoded.length === 1 ? decoded[0] : decoded;
+}
+
+/**
+ * Runs view calls in as few eth_calls as possible through Multicall3,
+ * falling back to parallel calls when it is not deployed on the chain.
+ * @param {Provider} provider
+ * @param {Array<{contract: Contract, method: string, args: Array}>} calls
+ * @param {Object} options
+ * @param {boolean} [options.allowFailure] Resolve failed calls to null instead of throwing
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} Results in the order of calls
+ */
+export async function multicall(
+    provider,
+    calls,
+    { allowFailure = false, signal } = {}
+) {
+    if (!calls.length) return [];
+    if (!(await isMulticallDeployed(provider))) {
+        return await Promise.all(
+            calls.map(({ contract, method, args }) =>
+                callWithRetry(contract, method, args, { signal }).catch(
+                    (error) => {
+                        if (!allowFailure) throw error;
+                        return null;
+                    }
+                )
+            )
+        );
+    }
+
+    const multicallContract = new ethers.Contract(
+        MULTICALL3_ADDRESS,
+        MULTICALL3_ABI,
+        provider
+    );
+    const results = [];
+    for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) {
+        const batch = calls.slice(i, i + MAX_BATCH_SIZE);
+        const encoded = batch.map(({ contract, method, args = [] }) => ({
+            target: contract.address,
+            allowFailure: true,
+            callData: contract.interface.encodeFunctionData(method, args),
+        }));
+        const response = await withRetry(
+            () => multicallContract.callStatic.aggregate3(encoded),
+            { label: "multicall", signal }
+        );
+        response.forEach(({ success, returnData }, j) => {
+            const { contract, method } = batch[j];
+            if (!success) {
+                if (!allowFailure) {
+                    throw new Error(
+                        `Multicall to ${method} on ${contract.address} reverted`
+                    );
+                }
+                results.push(null);
+                return;
+            }
+            results.push(decodeResult(contract, method, returnData));
+        });
+    }
+    return results;
+}
@@ -0,0 +1,107 @@
+const { Network } = require("alchemy-sdk");
+const ethers = require("ethers");
+const { NETWORK, CHAIN } = require("../types/networks");
+
+const ETH_NATIVE_CURRENCY = { decimals: 18, symbol: "ETH", name: "ETH" };
+const MATIC_NATIVE_CURRENCY = { decimals: 18, symbol: "MATIC", name: "MATIC" };
+
+let NETWORK_REGISTRY = {};
+
+/**
+ * @param {string|Number} chainId chain id as hex string or number
+ * @returns {CHAIN} normalized hex string for chain id
+ */
+export function normalizeChainId(chainId) {
+    if (chainId === null || chainId === undefined) return chainId;
+    return ethers.utils.hexValue(ethers.BigNumber.from(chainId));
+}
+
+/**
+ * Adds a network to the registry, replacing any existing entry with the same name.
+ * @param {NETWORK} network network name
+ * @param {Object} entry
+ * @param {CHAIN} entry.chainId hex string for chain id
+ * @param {string} entry.chainName display name of the chain
+ * @param {Object} entry.nativeCurrency { decimals, symbol, name }
+ * @param {Array<string>} [entry.rpcUrls]
+ * @param {Array<string>} [entry.blockExplorerUrls]
+ * @param {string} entry.alchemyNetwork Alchemy SDK network
+ * @param {string} [entry.artifactFolder] Z4 artifact folder, defaults to `${network}_artifacts`
+ * @param {boolean} [entry.isCustom] Whether the chain has to be added to the wallet before switching
+ */
+export function registerNetwork(network, entry) {
+    if (!network || !entry || entry.chainId === undefined) {
+        throw new Error(`Invalid registry entry for network ${network}`);
+    }
+    NETWORK_REGISTRY = {
+        ...NETWORK_REGISTRY,
+        [network]: {
+            rpcUrls: [],
+            blockExplorerUrls: [],
+            artifactFolder: `${network}_artifacts`,
+            isCustom: true,
+            ...entry,
+            chainId: normalizeChainId(entry.chainId),
+        },
+    };
+}
+
+/**
+ * @param {NETWORK} network network name
+ * @returns {Object|undefined} registry entry for network
+ */
+export function getNetwork(network) {
+    return NETWORK_REGISTRY[network];
+}
+
+/**
+ * @param {CHAIN} chainId hex string for chain id
+ * @returns {NETWORK|undefined} network name
+ */
+export function getNetworkByChainId(chainId) {
+    if (chainId === null || chainId === undefined) return undefined;
+    const normalized = normalizeChainId(chainId);
+    return Object.keys(NETWORK_REGISTRY).find(
+        (network) => NETWORK_REGISTRY[network].chainId === normalized
+    );
+}
+
+/**
+ * @returns {Array<NETWORK>} names of every registered network
+ */
+export function getRegisteredNetworks() {
+    return Object.keys(NETWORK_REGISTRY);
+}
+
+registerNetwork(NETWORK.MAINNET, {
+    chainId: CHAIN.MAINNET,
+    chainName: "Ethereum",
+    nativeCurrency: ETH_NATIVE_CURRENCY,
+    blockExplorerUrls: ["https://etherscan.io/"],
+    alchemyNetwork: Network.ETH_MAINNET,
+    isCustom: false,
+});
+registerNetwork(NETWORK.GOERLI, {
+    chainId: CHAIN.GOERLI,
+    chainName: "Goerli",
+    nativeCurrency: ETH_NATIVE_CURRENCY,
+    blockExplorerUrls: ["https://goerli.etherscan.io/"],
+    alchemyNetwork: Network.ETH_GOERLI,
+    isCustom: false,
+});
+registerNetwork(NETWORK.POLYGON, {
+    chainId: CHAIN.POLYGON,
+    chainName: "Polygon",
+    nativeCurrency: MATIC_NATIVE_CURRENCY,
+    rpcUrls: [process.env.REACT_APP_POLYGON_RPC],
+    blockExplorerUrls: ["https://polygonscan.com"],
+    alchemyNetwork: Network.MATIC_MAINNET,
+});
+registerNetwork(NETWORK.MUMBAI, {
+    chainId: CHAIN.MUMBAI,
+    chainName: "Mumbai",
+    nativeCurrency: MATIC_NATIVE_CURRENCY,
+    rpcUrls: [process.env.REACT_APP_MUMBAI_RPC],
+    blockExplorerUrls: ["https://mumbai.polygonscan.com"],
+    alchemyNetwork: Network.MATIC_MUMBAI,
+});
@@ -0,0 +1,197 @@
+import { classifyError, ERROR_KIND, withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+export const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function version() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+    "function transferFrom(address from, address to, uint256 value) returns (bool)",
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+// Seconds a permit signature stays valid
+const PERMIT_VALIDITY = 30 * 60;
+
+// EIP-712 domains by chain and token, null once a token is known not to take permits
+const domains = {};
+
+/**
+ * @param {Number} chainId
+ * @param {string} address ERC20 address
+ * @returns {string} Key of the token in domains
+ */
+function getDomainKey(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * @param {Contract} token
+ * @param {string} method
+ * @param {Array} args
+ * @returns {Promise<*>} Result, null if the call reverts
+ */
+async function tryCall(token, method, args = []) {
+    try {
+        return await withRetry(() => token[method](...args), {
+            label: `${method} on ${token.address}`,
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Detects EIP-2612 support by rebuilding the token's EIP-712 domain and comparing
+ * it with its DOMAIN_SEPARATOR, cached per chain. DAI also has nonces(address) and
+ * DOMAIN_SEPARATOR but its permit takes other arguments, simulatePermit() catches
+ * those and remembers the token as unsupported.
+ * @param {Provider} provider
+ * @param {string} address ERC20 address
+ * @returns {Promise<Object|null>} EIP-712 domain of the token, null without permit support
+ */
+export async function getPermitDomain(provider, address) {
+    const { chainId } = await provider.getNetwork();
+    const key = getDomainKey(chainId, address);
+    if (domains[key] === undefined) {
+        const token = new ethers.Contract(address, PERMIT_ABI, provider);
+        const [name, version, separator, nonce] = await Promise.all([
+            tryCall(token, "name"),
+            tryCall(token, "version"),
+            tryCall(token, "DOMAIN_SEPARATOR"),
+            tryCall(token, "nonces", [ethers.constants.AddressZero]),
+        ]);
+        domains[key] = null;
+        if (name !== null && separator !== null && nonce !== null) {
+            // Most tokens without version() use "1"
+            for (const candidate of version !== null ? [version] : ["1", "2"]) {
+                const domain = {
+                    name,
+                    version: candidate,
+                    chainId,
+                    verifyingContract: address,
+                };
+                if (
+                    ethers.utils._TypedDataEncoder.hashDomain(domain) ===
+                    separator
+                ) {
+                    domains[key] = domain;
+                    break;
+                }
+            }
+        }
+    }
+    return domains[key];
+}
+
+/**
+ * Asks the owner to sign an EIP-2612 permit
+ * @param {JsonRpcSigner} signer Signer of the owner
+ * @param {Object} domain EIP-712 domain, see getPermitDomain()
+ * @param {Object} permit
+ * @param {string} permit.owner
+ * @param {string} permit.spender
+ * @param {BigNumber} permit.value
+ * @param {Number} [permit.deadline] Unix time in seconds, 30 minutes from now by default
+ * @returns {Promise<Object>} { owner, spender, value, deadline, v, r, s }
+ */
+export async function signPermit(
+    signer,
+    domain,
+    {
+        owner,
+        spender,
+        value,
+        deadline = Math.floor(Date.now() / 1000) + PERMIT_VALIDITY,
+    }
+) {
+    const token = new ethers.Contract(
+        domain.verifyingContract,
+        PERMIT_ABI,
+        signer.provider
+    );
+    const nonce = await withRetry(() => token.nonces(owner), {
+        label: `nonces on ${token.address}`,
+    });
+    const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+        owner,
+        spender,
+        value,
+        nonce,
+        deadline,
+    });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { owner, spender, value, deadline, v, r, s };
+}
+
+/**
+ * Simulates redeeming a signed permit from the spender, tokens with a permit of another
+ * shape revert and are not offered a permit again
+ * @param {Provider} provider
+ * @param {string} address ERC20 address
+ * @param {Object} permit Result of signPermit()
+ * @returns {Promise<boolean>} Whether the permit would be accepted
+ */
+export async function simulatePermit(provider, address, permit) {
+    const [tx] = buildPermitTransfer(address, permit);
+    try {
+        await withRetry(() => provider.call(tx), {
+            label: `permit on ${address}`,
+        });
+        return true;
+    } catch (error) {
+        console.log("permit simulation error", error);
+        if (classifyError(error) === ERROR_KIND.REVERT) {
+            const { chainId } = await provider.getNetwork();
+            domains[getDomainKey(chainId, address)] = null;
+        }
+        return false;
+    }
+}
+
+/**
+ * Builds the transactions that redeem a permit and pull the tokens, meant to be
+ * relayed from the spender
+ * @param {string} address ERC20 address
+ * @param {Object} permit Result of signPermit()
+ * @returns {Array} [permit, transferFrom] transactions sent from the spender
+ */
+export function buildPermitTransfer(address, permit) {
+    const permitInterface = new ethers.utils.Interface(PERMIT_ABI);
+    const { owner, spender, value, deadline, v, r, s } = permit;
+    return [
+        {
+            from: spender,
+            to: address,
+            data: permitInterface.encodeFunctionData("permit", [
+                owner,
+                spender,
+                value,
+                deadline,
+                v,
+                r,
+                s,
+            ]),
+        },
+        {
+            from: spender,
+            to: address,
+            data: permitInterface.encodeFunctionData("transferFrom", [
+                owner,
+                spender,
+                value,
+            ]),
+        },
+    ];
+}
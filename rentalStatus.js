@@ -0,0 +1,109 @@
+export const RENTAL_STATUS = {
+    AVAILABLE: "available",
+    RENTED: "rented",
+    EXPIRED: "expired",
+    IN_VAULT: "in-vault",
+};
+
+export const RENTAL_EVENT = {
+    EXPIRING: "expiring",
+    EXPIRED: "expired",
+};
+
+/**
+ * @returns {Number} Current unix time in seconds
+ */
+export function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Derives the rental status of an NFT from its on-chain state
+ * @param {Object} state
+ * @param {string} state.address NFT contract address
+ * @param {string} state.tokenId
+ * @param {string} state.owner Current owner, null if unknown
+ * @param {string} state.vault Vault address
+ * @param {Number} state.lockedTill Rent end time in seconds, 0 if not rented
+ * @param {Amount} state.dailyPrice Vault price per day
+ * @param {Number} [state.start] Rent start time in seconds
+ * @param {Number} [state.timestamp] Time to evaluate at, defaults to now
+ * @returns {Object} { address, tokenId, status, owner, renter, start, end, dailyPrice, remaining }
+ */
+export function toRentalStatus({
+    address,
+    tokenId,
+    owner,
+    vault,
+    lockedTill,
+    dailyPrice,
+    start = null,
+    timestamp = now(),
+}) {
+    let status;
+    if (owner && vault && owner.toLowerCase() === vault.toLowerCase()) {
+        status = RENTAL_STATUS.IN_VAULT;
+    } else if (!lockedTill) {
+        status = RENTAL_STATUS.AVAILABLE;
+    } else if (lockedTill > timestamp) {
+        status = RENTAL_STATUS.RENTED;
+    } else {
+        status = RENTAL_STATUS.EXPIRED;
+    }
+    const isRental =
+        status === RENTAL_STATUS.RENTED || status === RENTAL_STATUS.EXPIRED;
+    return {
+        address,
+        tokenId,
+        status,
+        owner,
+        renter: isRental ? owner : null,
+        start: isRental ? start : null,
+        end: isRental ? lockedTill : null,
+        dailyPrice,
+        remaining: isRental ? Math.max(lockedTill - timestamp, 0) : 0,
+    };
+}
+
+/**
+ * Watches rentals and emits an event when each is about to expire and when it expires
+ * @param {Array} rentals Rental statuses, see toRentalStatus()
+ * @param {function} listener Called with (RENTAL_EVENT, rental)
+ * @param {Object} options
+ * @param {Number} [options.warnBefore] Seconds before the end to emit EXPIRING
+ * @param {Number} [options.interval] Check interval in ms
+ * @returns {function} Stops watching
+ */
+export function watchRentalExpiry(
+    rentals,
+    listener,
+    { warnBefore = 60 * 60, interval = 30 * 1000 } = {}
+) {
+    const emitted = {};
+    const check = () => {
+        const timestamp = now();
+        for (const rental of rentals) {
+            if (!rental.end) continue;
+            const key = `${rental.address}:${rental.tokenId}`;
+            const remaining = rental.end - timestamp;
+            if (remaining <= 0 && emitted[key] !== RENTAL_EVENT.EXPIRED) {
+                emitted[key] = RENTAL_EVENT.EXPIRED;
+                listener(RENTAL_EVENT.EXPIRED, {
+                    ...rental,
+                    status: RENTAL_STATUS.EXPIRED,
+                    remaining: 0,
+                });
+            } else if (
+                remaining > 0 &&
+                remaining <= warnBefore &&
+                !emitted[key]
+            ) {
+                emitted[key] = RENTAL_EVENT.EXPIRING;
+                listener(RENTAL_EVENT.EXPIRING, { ...rental, remaining });
+            }
+        }
+    };
+    check();
+    const timer = setInterval(check, interval);
+    return () => clearInterval(timer);
+}
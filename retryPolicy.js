@@ -0,0 +1,225 @@
+export const ERROR_KIND = {
+    RATE_LIMIT: "rate-limit",
+    NETWORK: "network",
+    TIMEOUT: "timeout",
+    REVERT: "revert",
+    REJECTED: "rejected",
+    ABORTED: "aborted",
+    UNKNOWN: "unknown",
+};
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,
+    baseDelay: 250,
+    maxDelay: 8000,
+    jitter: true,
+    timeout: 15000,
+    retryOn: [ERROR_KIND.RATE_LIMIT, ERROR_KIND.NETWORK, ERROR_KIND.TIMEOUT],
+};
+
+/**
+ * Error thrown once a call fails for good
+ */
+export class RetryError extends Error {
+    /**
+     * @param {Object} details
+     * @param {string} details.label Name of the failed call
+     * @param {ERROR_KIND} details.kind Classification of the last error
+     * @param {Number} details.attempts Number of attempts made
+     * @param {Error} details.cause Last error
+     */
+    constructor({ label, kind, attempts, cause }) {
+        super(
+            `${label} failed after ${attempts} attempt(s) (${kind}): ${
+                cause?.reason || cause?.message || cause
+            }`
+        );
+        this.name = "RetryError";
+        this.label = label;
+        this.kind = kind;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+/**
+ * @param {*} error Error thrown by ethers, Alchemy or fetch
+ * @returns {ERROR_KIND}
+ */
+export function classifyError(error) {
+    if (!error) return ERROR_KIND.UNKNOWN;
+    if (error instanceof RetryError) return error.kind;
+    if (error.name === "AbortError") return ERROR_KIND.ABORTED;
+    const code = error.code ?? error.error?.code;
+    const status = error.status ?? error.response?.status;
+    const message = `${error.message || ""} ${error.body || ""}`.toLowerCase();
+    if (code === "ACTION_REJECTED" || code === 4001) return ERROR_KIND.REJECTED;
+    if (
+        status === 429 ||
+        code === -32005 ||
+        code === 429 ||
+        /rate limit|too many requests|exceeded .*capacity|compute units/.test(
+            message
+        )
+    )
+        return ERROR_KIND.RATE_LIMIT;
+    if (code === "TIMEOUT" || /timed? ?out/.test(message))
+        return ERROR_KIND.TIMEOUT;
+    if (
+        code === "CALL_EXCEPTION" ||
+        code === "UNPREDICTABLE_GAS_LIMIT" ||
+        /revert/.test(message)
+    )
+        return ERROR_KIND.REVERT;
+    if (
+        code === "NETWORK_ERROR" ||
+        code === "SERVER_ERROR" ||
+        (typeof status === "number" && status >= 500) ||
+        /network|failed to fetch|socket|econn/.test(message)
+    )
+        return ERROR_KIND.NETWORK;
+    return ERROR_KIND.UNKNOWN;
+}
+
+/**
+ * @param {Object} overrides Any field of DEFAULT_RETRY_POLICY
+ * @returns {Object} Retry policy
+ */
+export function createRetryPolicy(overrides = {}) {
+    return { ...DEFAULT_RETRY_POLICY, ...overrides };
+}
+
+/**
+ * @param {Object} policy
+ * @param {Number} attempt Zero based attempt that just failed
+ * @returns {Number} Delay in ms before the next attempt
+ */
+function getDelay(policy, attempt) {
+    const delay = Math.min(policy.baseDelay * 2 ** attempt, policy.maxDelay);
+    return policy.jitter ? delay * (0.5 + Math.random() / 2) : delay;
+}
+
+/**
+ * @param {Number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+function abortError() {
+    const error = new Error("Aborted");
+    error.name = "AbortError";
+    return error;
+}
+
+/**
+ * @param {Promise} promise
+ * @param {Number} timeout Time in ms, no limit if falsy
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function race(promise, timeout, signal) {
+    const guards = [promise];
+    let timer;
+    let onAbort;
+    if (timeout) {
+        guards.push(
+            new Promise((_, reject) => {
+                timer = setTimeout(() => {
+                    const error = new Error(`Timed out after ${timeout}ms`);
+                    error.code = "TIMEOUT";
+                    reject(error);
+                }, timeout);
+            })
+        );
+    }
+    if (signal) {
+        guards.push(
+            new Promise((_, reject) => {
+                onAbort = () => reject(signal.reason || abortError());
+                signal.addEventListener("abort", onAbort, { once: true });
+            })
+        );
+    }
+    // Long-lived signals would otherwise keep a listener per attempt
+    return Promise.race(guards).finally(() => {
+        clearTimeout(timer);
+        if (onAbort) signal.removeEventListener("abort", onAbort);
+    });
+}
+
+/**
+ * Runs fn until it succeeds, the error is not retryable or attempts run out
+ * @param {function} fn Receives the AbortSignal, returns a promise
+ * @param {Object} options
+ * @param {string} [options.label] Name of the call used in errors and logs
+ * @param {Object} [options.policy] Retry policy, see createRetryPolicy()
+ * @param {AbortSignal} [options.signal] Aborts pending and future attempts
+ * @returns {Promise<*>} Result of fn
+ * @throws {RetryError}
+ */
+export async function withRetry(
+    fn,
+    { label = "call", policy = DEFAULT_RETRY_POLICY, signal } = {}
+) {
+    let attempt = 0;
+    while (true) {
+        try {
+            if (signal?.aborted) throw signal.reason || abortError();
+            return await race(fn(signal), policy.timeout, signal);
+        } catch (error) {
+            const kind = classifyError(error);
+            attempt++;
+            if (
+                attempt >= policy.maxAttempts ||
+                !policy.retryOn.includes(kind)
+            ) {
+                throw new RetryError({
+                    label,
+                    kind,
+                    attempts: attempt,
+                    cause: error,
+                });
+            }
+            const delay = getDelay(policy, attempt - 1);
+            console.log(`${label} ${kind} error, retrying after ${delay}ms...`);
+            try {
+                await wait(delay, signal);
+            } catch (abort) {
+                throw new RetryError({
+                    label,
+                    kind: ERROR_KIND.ABORTED,
+                    attempts: attempt,
+                    cause: abort,
+                });
+            }
+        }
+    }
+}
+
+/**
+ * Calls a contract function through the retry policy
+ * @param {Contract} contract ethers contract
+ * @param {string} method Function name or signature
+ * @param {Array} args
+ * @param {Object} options See withRetry()
+ * @returns {Promise<*>}
+ */
+export async function callWithRetry(contract, method, args = [], options = {}) {
+    return await withRetry(() => contract[method](...args), {
+        label: `${method} on ${contract.address}`,
+        ...options,
+    });
+}
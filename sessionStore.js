@@ -0,0 +1,106 @@
+/**
+ * Events emitted by the session store. Every state key emits an event of the
+ * same name with (value, previousValue) when it changes, followed by CHANGE.
+ * NETWORK_CHANGED is emitted with { chainId, network, previousNetwork } once
+ * the session has been reloaded for a new chain.
+ */
+export const SESSION_EVENT = {
+    CHANGE: "change",
+    NETWORK_CHANGED: "networkChanged",
+    PROVIDER: "provider",
+    BLOCKCHAIN_ERROR: "blockchainError",
+    PUBLIC_KEY: "publicKey",
+    PROXY_WALLET: "proxyWallet",
+    USER: "user",
+    TOKENS: "tokens",
+    TOKENS_LOADING: "tokensLoading",
+    TRANSACTIONS: "transactions",
+    CHAIN_ID: "chainId",
+    NETWORK: "network",
+    CHANGE_CHAIN: "changeChain",
+};
+
+const INITIAL_STATE = {
+    provider: null,
+    blockchainError: false,
+    publicKey: null,
+    proxyWallet: null,
+    user: null,
+    tokens: null,
+    tokensLoading: false,
+    transactions: [],
+    chainId: null,
+    network: null,
+    changeChain: false,
+};
+
+/**
+ * Creates a framework independent store for the connected wallet session
+ * @param {Object} initialState Overrides for the initial state
+ * @returns {Object} Session store
+ */
+export function createSessionStore(initialState = {}) {
+    let state = { ...INITIAL_STATE, ...initialState };
+    let listeners = {};
+
+    const store = {
+        /**
+         * @returns {Object} Current session state
+         */
+        getState() {
+            return state;
+        },
+        /**
+         * Merges partial into the state and emits an event for every changed key
+         * @param {Object} partial
+         */
+        setState(partial) {
+            const previous = state;
+            const changed = Object.keys(partial).filter(
+                (key) => partial[key] !== previous[key]
+            );
+            if (!changed.length) return;
+            state = { ...previous, ...partial };
+            changed.forEach((key) => store.emit(key, state[key], previous[key]));
+            store.emit(SESSION_EVENT.CHANGE, state, previous);
+        },
+        /**
+         * Clears everything tied to the connected account
+         */
+        resetAccount() {
+            store.setState({
+                publicKey: null,
+                user: null,
+                proxyWallet: null,
+                tokens: null,
+                transactions: [],
+            });
+        },
+        /**
+         * @param {SESSION_EVENT} event
+         * @param {function} listener
+         * @returns {function} Unsubscribes the listener
+         */
+        subscribe(event, listener) {
+            listeners[event] = [...(listeners[event] || []), listener];
+            return () => {
+                listeners[event] = (listeners[event] || []).filter(
+                    (current) => current !== listener
+                );
+            };
+        },
+        /**
+         * @param {SESSION_EVENT} event
+         * @param {...any} args
+         */
+        emit(event, ...args) {
+            (listeners[event] || []).forEach((listener) => listener(...args));
+        },
+    };
+    return store;
+}
+
+/**
+ * Session shared by the app
+ */
+export const session = createSessionStore();
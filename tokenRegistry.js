@@ -0,0 +1,362 @@
+import { getItemByChainAndIds, setItemByChainAndIds } from "./localStorage";
+
+const ethers = require("ethers");
+
+// Names and symbols of airdropped spam usually advertise a site or a claim
+const SPAM_PATTERNS = [
+    /https?:|www\.|\.(com|io|net|org|xyz|site|app|club|top)\b/i,
+    /\b(claim|reward|visit|airdrop|voucher|bonus)\b/i,
+];
+
+const MAX_SYMBOL_LENGTH = 11;
+
+const EMPTY_STATE = { lists: {}, custom: {}, hidden: [], pinned: [] };
+
+const toKey = (address) =>
+    ethers.utils.isAddress(address) ? address.toLowerCase() : address;
+
+/**
+ * Validates a token list in the Uniswap format, see https://tokenlists.org
+ * @param {Object} list
+ * @returns {Object} The list
+ */
+function validateTokenList(list) {
+    if (!list || typeof list.name !== "string" || !Array.isArray(list.tokens))
+        throw new Error("Invalid token list");
+    return list;
+}
+
+/**
+ * Flags tokens that look like airdropped spam. Listed and hand added tokens are trusted.
+ * @param {Object} token { name, symbol, decimals, amount }
+ * @returns {Array<string>} Reasons the token looks like spam, empty if it does not
+ */
+export function getSpamReasons(token) {
+    const reasons = [];
+    const text = `${token.name || ""} ${token.symbol || ""}`;
+    if (SPAM_PATTERNS.some((pattern) => pattern.test(text)))
+        reasons.push("Name advertises a site or claim");
+    if (!token.symbol || token.symbol.length > MAX_SYMBOL_LENGTH)
+        reasons.push("Missing or unusually long symbol");
+    // Characters outside ASCII can imitate the letters of a known symbol
+    if ([...text].some((char) => char.codePointAt(0) > 0x7f))
+        reasons.push("Lookalike characters");
+    if (token.decimals === null || token.decimals === undefined)
+        reasons.push("Unknown decimals");
+    return reasons;
+}
+
+/**
+ * Price feed backed by CoinGecko's public API.
+ * A price feed takes tokens { address, symbol, native } and resolves to USD prices
+ * keyed by lower case address, or by symbol for the native currency. Called with
+ * { date } it resolves the prices of that UTC day instead of the current ones.
+ * @param {Object} options
+ * @param {string} options.platform CoinGecko asset platform, e.g. "ethereum" or "polygon-pos"
+ * @param {string} options.nativeId CoinGecko coin id of the native currency, e.g. "ethereum"
+ * @returns {function} Price feed
+ */
+export function createCoinGeckoPriceFeed({ platform, nativeId }) {
+    const api = "https://api.coingecko.com/api/v3/simple";
+    const coins = "https://api.coingecko.com/api/v3/coins";
+    const getJson = async (url) => {
+        const response = await fetch(url);
+        return response.ok ? await response.json() : null;
+    };
+    // One request per token, sent one after another to stay under the rate limit
+    const getHistoricalPrices = async (tokens, date) => {
+        const prices = {};
+        const [year, month, day] = date.toISOString().slice(0, 10).split("-");
+        const from = Date.UTC(year, month - 1, day) / 1000;
+        for (const token of tokens) {
+            if (token.native) {
+                if (!nativeId) continue;
+                const data = await getJson(
+                    `${coins}/${nativeId}/history?date=${day}-${month}-${year}&localization=false`
+                );
+                prices[token.symbol] =
+                    data?.market_data?.current_price?.usd ?? null;
+                continue;
+            }
+            const address = token.address.toLowerCase();
+            const data = await getJson(
+                `${coins}/${platform}/contract/${address}/market_chart/range?vs_currency=usd&from=${from}&to=${
+                    from + 86400
+                }`
+            );
+            prices[address] = data?.prices?.[0]?.[1] ?? null;
+        }
+        return prices;
+    };
+    return async (tokens, { date } = {}) => {
+        if (date) return await getHistoricalPrices(tokens, date);
+        const prices = {};
+        const native = tokens.find((token) => token.native);
+        const addresses = tokens
+            .filter((token) => !token.native)
+            .map((token) => token.address.toLowerCase());
+        if (native && nativeId) {
+            const response = await fetch(
+                `${api}/price?ids=${nativeId}&vs_currencies=usd`
+            );
+            if (response.ok) {
+                const data = await response.json();
+                prices[native.symbol] = data[nativeId]?.usd ?? null;
+            }
+        }
+        if (addresses.length) {
+            const response = await fetch(
+                `${api}/token_price/${platform}?contract_addresses=${addresses.join(
+                    ","
+                )}&vs_currencies=usd`
+            );
+            if (response.ok) {
+                const data = await response.json();
+                for (const address in data) prices[address] = data[address].usd;
+            }
+        }
+        return prices;
+    };
+}
+
+/**
+ * Creates the token registry of an account: imported token lists, hand added tokens,
+ * hidden and pinned tokens, saved in localStorage by chain and account
+ * @param {string} account
+ * @param {Number} chainId Chain whose tokens are used from imported lists
+ * @param {function} [priceFeed] See createCoinGeckoPriceFeed()
+ * @returns {Object} Token registry
+ */
+export function createTokenRegistry(account, chainId, priceFeed = null) {
+    let state = {
+        ...EMPTY_STATE,
+        ...(getItemByChainAndIds("tokenRegistry", [account]) || {}),
+    };
+
+    const save = (partial) => {
+        state = { ...state, ...partial };
+        setItemByChainAndIds("tokenRegistry", [account], state);
+    };
+
+    const registry = {
+        /**
+         * Imports a token list, replacing a previous import from the same source
+         * @param {string|Object} source URL of the list or the list itself
+         * @returns {Promise<Number>} Number of tokens imported for the chain
+         */
+        async importTokenList(source) {
+            let list = source;
+            if (typeof source === "string") {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                list = await response.json();
+            }
+            validateTokenList(list);
+            const tokens = {};
+            for (const token of list.tokens) {
+                if (
+                    Number(token.chainId) !== Number(chainId) ||
+                    !ethers.utils.isAddress(token.address)
+                )
+                    continue;
+                tokens[toKey(token.address)] = {
+                    address: ethers.utils.getAddress(token.address),
+                    name: token.name,
+                    symbol: token.symbol,
+                    decimals: token.decimals,
+                    logo: token.logoURI || null,
+                };
+            }
+            const id = typeof source === "string" ? source : list.name;
+            save({
+                lists: { ...state.lists, [id]: { name: list.name, tokens } },
+            });
+            return Object.keys(tokens).length;
+        },
+        /**
+         * @param {string} id URL or name the list was imported with
+         */
+        removeTokenList(id) {
+            const { [id]: removed, ...lists } = state.lists;
+            save({ lists });
+        },
+        /**
+         * @returns {Array<{id: string, name: string, count: Number}>} Imported lists
+         */
+        getTokenLists() {
+            return Object.keys(state.lists).map((id) => ({
+                id,
+                name: state.lists[id].name,
+                count: Object.keys(state.lists[id].tokens).length,
+            }));
+        },
+        /**
+         * Adds a token by hand, it is always fetched and never flagged as spam
+         * @param {Object} token { address, name, symbol, decimals, logo }
+         */
+        addToken(token) {
+            if (!ethers.utils.isAddress(token.address))
+                throw new Error(`Invalid token address ${token.address}`);
+            save({
+                custom: {
+                    ...state.custom,
+                    [toKey(token.address)]: {
+                        logo: null,
+                        ...token,
+                        address: ethers.utils.getAddress(token.address),
+                    },
+                },
+            });
+        },
+        /**
+         * @param {string} address
+         */
+        removeToken(address) {
+            const { [toKey(address)]: removed, ...custom } = state.custom;
+            save({ custom });
+        },
+        /**
+         * @param {string} address Token address, or symbol for the native currency
+         * @param {boolean} hidden
+         */
+        setHidden(address, hidden) {
+            const key = toKey(address);
+            save({
+                hidden: hidden
+                    ? [...new Set([...state.hidden, key])]
+                    : state.hidden.filter((current) => current !== key),
+            });
+        },
+        /**
+         * @param {string} address Token address, or symbol for the native currency
+         * @param {boolean} pinned
+         */
+        setPinned(address, pinned) {
+            const key = toKey(address);
+            save({
+                pinned: pinned
+                    ? [...new Set([...state.pinned, key])]
+                    : state.pinned.filter((current) => current !== key),
+            });
+        },
+        /**
+         * @param {string} address
+         * @returns {Object|undefined} Hand added or listed info on the token
+         */
+        getKnownToken(address) {
+            const key = toKey(address);
+            if (state.custom[key]) return state.custom[key];
+            for (const id in state.lists) {
+                if (state.lists[id].tokens[key])
+                    return state.lists[id].tokens[key];
+            }
+            return undefined;
+        },
+        /**
+         * @returns {Array<string>} Lower case addresses that are always fetched, hand
+         * added and pinned tokens
+         */
+        getTrackedAddresses() {
+            return [
+                ...new Set([
+                    ...Object.keys(state.custom),
+                    ...state.pinned.filter((key) =>
+                        ethers.utils.isAddress(key)
+                    ),
+                ]),
+            ];
+        },
+        /**
+         * @param {function} feed See createCoinGeckoPriceFeed()
+         */
+        setPriceFeed(feed) {
+            priceFeed = feed;
+        },
+        /**
+         * Adds registry info to tokens: symbol and logo from lists, spam flags, pinned,
+         * hidden and USD prices when a price feed is set
+         * @param {Object} tokens Tokens keyed by address, native currency keyed by symbol
+         * @param {string} nativeSymbol Key of the native currency
+         * @returns {Promise<Object>} Decorated tokens, same keys
+         */
+        async decorate(tokens, nativeSymbol) {
+            const decorated = {};
+            for (const key in tokens) {
+                if (!tokens[key]) continue;
+                const native = key === nativeSymbol;
+                const known = native
+                    ? undefined
+                    : registry.getKnownToken(tokens[key].address);
+                const token = {
+                    ...tokens[key],
+                    symbol:
+                        known?.symbol || tokens[key].symbol || tokens[key].name,
+                    logo: known?.logo || tokens[key].logo || null,
+                };
+                const spamReasons =
+                    native || known ? [] : getSpamReasons(token);
+                decorated[key] = {
+                    ...token,
+                    listed: native || !!known,
+                    spam: spamReasons.length > 0,
+                    spamReasons,
+                    pinned: state.pinned.includes(toKey(key)),
+                    hidden: state.hidden.includes(toKey(key)),
+                    priceUsd: null,
+                    valueUsd: null,
+                };
+            }
+            if (!priceFeed) return decorated;
+            try {
+                const priced = Object.keys(decorated).filter(
+                    (key) => !decorated[key].spam
+                );
+                const prices = await priceFeed(
+                    priced.map((key) => ({
+                        address: decorated[key].address,
+                        symbol: decorated[key].symbol,
+                        native: key === nativeSymbol,
+                    }))
+                );
+                for (const key of priced) {
+                    const price = prices[toKey(key)];
+                    if (price === undefined || price === null) continue;
+                    decorated[key].priceUsd = price;
+                    decorated[key].valueUsd =
+                        Number(decorated[key].amount || 0) * price;
+                }
+            } catch (error) {
+                console.log("price feed error", error);
+            }
+            return decorated;
+        },
+    };
+    return registry;
+}
+
+/**
+ * @param {Object} tokens Tokens decorated by a token registry
+ * @returns {Array} Visible, non spam tokens, pinned first and then by USD value
+ */
+export function getVisibleTokens(tokens) {
+    return Object.values(tokens)
+        .filter((token) => token.pinned || (!token.hidden && !token.spam))
+        .sort(
+            (a, b) =>
+                Number(b.pinned) - Number(a.pinned) ||
+                (b.valueUsd ?? -1) - (a.valueUsd ?? -1)
+        );
+}
+
+/**
+ * @param {Object} tokens Tokens decorated by a token registry
+ * @returns {Number} USD value of the visible tokens with a price
+ */
+export function getTotalUsd(tokens) {
+    return getVisibleTokens(tokens).reduce(
+        (total, token) => total + (token.valueUsd || 0),
+        0
+    );
+}
@@ -0,0 +1,92 @@
+import { classifyError, ERROR_KIND, withRetry } from "./retryPolicy";
+
+const ethers = require("ethers");
+
+export const TOKEN_STANDARD = {
+    ERC721: "erc721",
+    ERC1155: "erc1155",
+};
+
+// ERC-165 interface ids
+export const INTERFACE_ID = {
+    ERC721: "0x80ac58cd",
+    ERC1155: "0xd9b67a26",
+};
+
+export const ERC165_ABI = [
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+];
+
+export const ERC1155_ABI = [
+    ...ERC165_ABI,
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+    "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+    "function isApprovedForAll(address account, address operator) view returns (bool)",
+    "function setApprovalForAll(address operator, bool approved)",
+    "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+    "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+    "function uri(uint256 id) view returns (string)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+];
+
+const standards = {};
+
+/**
+ * @param {*} nft Alchemy NFT object
+ * @returns {TOKEN_STANDARD|null} Standard reported by Alchemy, null if unknown
+ */
+export function getNftStandard(nft) {
+    const tokenType = (
+        nft.tokenType ||
+        nft.contract?.tokenType ||
+        nft.id?.tokenMetadata?.tokenType ||
+        ""
+    ).toLowerCase();
+    return Object.values(TOKEN_STANDARD).includes(tokenType) ? tokenType : null;
+}
+
+/**
+ * Detects the token standard of an NFT contract through ERC-165, cached per chain
+ * @param {Provider} provider
+ * @param {string} address NFT contract address
+ * @returns {Promise<TOKEN_STANDARD>} ERC721 unless the contract reports ERC-1155
+ * @throws {RetryError} When the contract could not be queried
+ */
+export async function detectTokenStandard(provider, address) {
+    const { chainId } = await provider.getNetwork();
+    const key = `${chainId}:${address.toLowerCase()}`;
+    if (!standards[key]) {
+        const contract = new ethers.Contract(address, ERC165_ABI, provider);
+        let isERC1155 = false;
+        try {
+            isERC1155 = await withRetry(
+                () => contract.supportsInterface(INTERFACE_ID.ERC1155),
+                { label: `supportsInterface on ${address}` }
+            );
+        } catch (error) {
+            // Contracts without ERC-165 revert, older ERC-721s among them. Other
+            // failures say nothing about the contract and are not cached.
+            if (classifyError(error) !== ERROR_KIND.REVERT) throw error;
+        }
+        standards[key] = isERC1155
+            ? TOKEN_STANDARD.ERC1155
+            : TOKEN_STANDARD.ERC721;
+    }
+    return standards[key];
+}
+
+/**
+ * Substitutes the ERC-1155 {id} placeholder in a metadata URI
+ * @param {string} uri
+ * @param {string|Number} tokenId
+ * @returns {string} URI with {id} replaced by the zero padded hex id
+ */
+export function expandTokenUri(uri, tokenId) {
+    if (!uri || !uri.includes("{id}")) return uri;
+    const id = ethers.utils
+        .hexZeroPad(ethers.BigNumber.from(tokenId).toHexString(), 32)
+        .slice(2)
+        .toLowerCase();
+    return uri.replaceAll("{id}", id);
+}
@@ -0,0 +1,355 @@
+import { creditKey } from "./creditAllocation";
+
+const ethers = require("ethers");
+
+// Categories of Alchemy's alchemy_getAssetTransfers
+export const HISTORY_CATEGORY = {
+    EXTERNAL: "external",
+    INTERNAL: "internal",
+    ERC20: "erc20",
+    ERC721: "erc721",
+    ERC1155: "erc1155",
+};
+
+export const ACTION_TYPE = {
+    RENT: "rent",
+    DEPOSIT: "deposit",
+    WITHDRAW: "withdraw",
+    SEND: "send",
+    RECEIVE: "receive",
+    APPROVE: "approve",
+    REFERENCE: "reference",
+    REGISTER: "register",
+    CONTRACT_CALL: "contractCall",
+    // Referral rewards, credited by the Vault outside the account's transactions
+    REWARD: "reward",
+};
+
+const NFT_CATEGORIES = [HISTORY_CATEGORY.ERC721, HISTORY_CATEGORY.ERC1155];
+
+const lower = (address) => (address || "").toLowerCase();
+
+const shortAddress = (address) =>
+    address ? `${address.slice(0, 6)}…${address.slice(-4)}` : "unknown";
+
+/**
+ * Merges transfer lists, dropping transfers found by more than one query
+ * @param {Array<Array>} lists Alchemy asset transfers
+ * @returns {Array} Transfers, most recent first
+ */
+export function mergeTransfers(lists) {
+    const byId = {};
+    for (const transfer of lists.flat()) byId[transfer.uniqueId] = transfer;
+    return Object.values(byId).sort(
+        (a, b) => Number(b.blockNum) - Number(a.blockNum)
+    );
+}
+
+/**
+ * @param {Object} transfer Alchemy asset transfer fetched with metadata
+ * @returns {Number|null} Unix time in seconds
+ */
+export function getTransferTime(transfer) {
+    const timestamp = transfer.metadata?.blockTimestamp;
+    return timestamp ? Math.floor(Date.parse(timestamp) / 1000) : null;
+}
+
+/**
+ * @param {Object} transfer Alchemy asset transfer
+ * @returns {string} Token id as a decimal string, null for fungible transfers
+ */
+function getTransferTokenId(transfer) {
+    const tokenId =
+        transfer.erc721TokenId ||
+        transfer.tokenId ||
+        transfer.erc1155Metadata?.[0]?.tokenId;
+    return tokenId ? ethers.BigNumber.from(tokenId).toString() : null;
+}
+
+/**
+ * @param {Object} transfer Alchemy asset transfer
+ * @returns {Array<string>} Token ids as decimal strings, several for ERC-1155 batches
+ */
+export function getTransferTokenIds(transfer) {
+    if (transfer.erc1155Metadata?.length)
+        return transfer.erc1155Metadata.map(({ tokenId }) =>
+            ethers.BigNumber.from(tokenId).toString()
+        );
+    const tokenId = getTransferTokenId(transfer);
+    return tokenId ? [tokenId] : [];
+}
+
+/**
+ * @param {Object} transfer Alchemy asset transfer
+ * @param {string} nativeSymbol
+ * @returns {string} e.g. "0.1 ETH" or "BAYC #12"
+ */
+function describeTransfer(transfer, nativeSymbol) {
+    if (NFT_CATEGORIES.includes(transfer.category)) {
+        const collection =
+            transfer.asset || shortAddress(transfer.rawContract?.address);
+        return `${collection} #${getTransferTokenId(transfer)}`;
+    }
+    return `${transfer.value ?? 0} ${transfer.asset || nativeSymbol}`;
+}
+
+/**
+ * @param {Array} transfers Alchemy asset transfers
+ * @param {string} nativeSymbol
+ * @returns {string} Readable summary of what moved
+ */
+export function describeTransfers(transfers, nativeSymbol) {
+    const nfts = transfers.filter((transfer) =>
+        NFT_CATEGORIES.includes(transfer.category)
+    );
+    const fungibles = transfers.filter((transfer) => !nfts.includes(transfer));
+    const parts = fungibles.map((transfer) =>
+        describeTransfer(transfer, nativeSymbol)
+    );
+    if (nfts.length === 1) parts.push(describeTransfer(nfts[0], nativeSymbol));
+    else if (nfts.length) parts.push(`${nfts.length} NFTs`);
+    return parts.join(", ");
+}
+
+/**
+ * Creates a decoder for calldata of the given contracts. Calls relayed through the
+ * proxy wallet are wrapped in its own calldata, the decoder also finds calls embedded
+ * as bytes arguments, which always start on a 32 byte word.
+ * @param {Object} abis ABIs keyed by contract name, e.g. CONTRACT_ABIS
+ * @returns {function} Decodes calldata into [{ contract, name, signature, args }]
+ */
+export function createCallDecoder(abis) {
+    const interfaces = Object.keys(abis).map((contract) => ({
+        contract,
+        contractInterface: new ethers.utils.Interface(abis[contract]),
+    }));
+    const decodeAt = (data) => {
+        for (const { contract, contractInterface } of interfaces) {
+            try {
+                const { name, signature, args } =
+                    contractInterface.parseTransaction({ data });
+                return { contract, name, signature, args };
+            } catch (error) {
+                // Not a function of this contract
+            }
+        }
+        return null;
+    };
+    return (data) => {
+        if (!data || data === "0x") return [];
+        const bytes = ethers.utils.arrayify(data);
+        const calls = [];
+        const decode = (offset) => {
+            const call = decodeAt(ethers.utils.hexlify(bytes.slice(offset)));
+            if (call) calls.push(call);
+        };
+        decode(0);
+        // Arguments start after the 4 byte selector
+        for (let offset = 4; offset + 4 <= bytes.length; offset += 32)
+            decode(offset);
+        return calls;
+    };
+}
+
+/**
+ * Groups transfers by transaction
+ * @param {Array} transfers Alchemy asset transfers, most recent first
+ * @returns {Array} Entries { hash, blockNumber, timestamp, transfers }
+ */
+export function groupTransfers(transfers) {
+    const entries = [];
+    const byHash = {};
+    for (const transfer of transfers) {
+        if (!byHash[transfer.hash]) {
+            byHash[transfer.hash] = {
+                hash: transfer.hash,
+                blockNumber: Number(transfer.blockNum),
+                timestamp: getTransferTime(transfer),
+                transfers: [],
+            };
+            entries.push(byHash[transfer.hash]);
+        }
+        byHash[transfer.hash].transfers.push(transfer);
+    }
+    return entries;
+}
+
+/**
+ * @param {Object} call Decoded withdraw or withdrawMultiple call of the Vault
+ * @returns {Array} Items { address, tokenId, fee, creditUsed } with fees and credits as
+ * BigNumbers
+ */
+export function getVaultCallItems(call) {
+    if (call.name === "withdrawMultiple") {
+        const [addresses, tokenIds, values, , creditUsed] = call.args;
+        return addresses.map((address, i) => ({
+            address,
+            tokenId: tokenIds[i].toString(),
+            fee: values[i],
+            creditUsed: creditUsed[i],
+        }));
+    }
+    const [address, tokenId, value] = call.args;
+    return [
+        {
+            address,
+            tokenId: tokenId.toString(),
+            fee: value,
+            creditUsed: ethers.constants.Zero,
+        },
+    ];
+}
+
+/**
+ * @param {Array} items See getVaultCallItems()
+ * @param {Object} prices Price per day keyed by creditKey()
+ * @returns {Number|null} Whole days rented, null if unknown or not the same for all items
+ */
+function getRentalDays(items, prices) {
+    const days = items.map(({ address, tokenId, fee }) => {
+        const price = prices[creditKey(address, tokenId)];
+        if (!price || price.isZero()) return null;
+        const raw = price.toBigNumber();
+        // Rounded to the nearest day
+        return fee.add(raw.div(2)).div(raw).toNumber();
+    });
+    return days.every((day) => day && day === days[0]) ? days[0] : null;
+}
+
+/**
+ * Turns a transaction's transfers and decoded calls into a readable action
+ * @param {Object} entry Entry of groupTransfers()
+ * @param {Object} context
+ * @param {Array} context.calls Decoded calls of the transaction, see createCallDecoder()
+ * @param {Array<string>} context.addresses Addresses of the account, EOA and proxy wallet
+ * @param {string} context.vault Vault address
+ * @param {string} context.nativeSymbol
+ * @param {Object} [context.prices] Vault price per day keyed by creditKey(), for rental durations
+ * @returns {Object} { type, description, items }
+ */
+export function describeAction(
+    entry,
+    { calls, addresses, vault, nativeSymbol, prices = {} }
+) {
+    const own = addresses.filter(Boolean).map(lower);
+    const isOwn = (address) => own.includes(lower(address));
+    const vaultCall = calls.find((call) => call.contract === "VAULT");
+    const { transfers } = entry;
+
+    if (
+        vaultCall?.name === "withdraw" ||
+        vaultCall?.name === "withdrawMultiple"
+    ) {
+        const items = getVaultCallItems(vaultCall);
+        const received = transfers.filter(
+            (transfer) =>
+                NFT_CATEGORIES.includes(transfer.category) &&
+                lower(transfer.from) === lower(vault)
+        );
+        const label =
+            items.length === 1
+                ? received.length
+                    ? describeTransfer(received[0], nativeSymbol)
+                    : `${shortAddress(items[0].address)} #${items[0].tokenId}`
+                : `${items.length} NFTs`;
+        // The owner of a deposit withdraws it without paying a fee
+        if (items.every((item) => item.fee.isZero()))
+            return {
+                type: ACTION_TYPE.WITHDRAW,
+                description: `Withdrew ${label} from the vault`,
+                items,
+            };
+        const days = getRentalDays(items, prices);
+        return {
+            type: ACTION_TYPE.RENT,
+            description: days
+                ? `Rented ${label} for ${days} ${days === 1 ? "day" : "days"}`
+                : `Rented ${label}`,
+            items,
+        };
+    }
+    if (vaultCall?.name === "setReference")
+        return {
+            type: ACTION_TYPE.REFERENCE,
+            description: "Submitted a referral code",
+            items: [],
+        };
+    if (calls.some((call) => call.name === "registerWallet"))
+        return {
+            type: ACTION_TYPE.REGISTER,
+            description: "Registered a proxy wallet",
+            items: [],
+        };
+    const approval = calls.find(
+        (call) => call.name === "setApprovalForAll" || call.name === "approve"
+    );
+    if (approval && !transfers.length)
+        return {
+            type: ACTION_TYPE.APPROVE,
+            description: `Approved ${shortAddress(approval.args[0])}`,
+            items: [],
+        };
+
+    const summary = describeTransfers(transfers, nativeSymbol);
+    const outgoing = transfers.filter((transfer) => isOwn(transfer.from));
+    const incoming = transfers.filter((transfer) => isOwn(transfer.to));
+    const between = outgoing.filter((transfer) => isOwn(transfer.to));
+    if (transfers.length && between.length === transfers.length) {
+        // Moves between the EOA and the proxy wallet, addresses[0] is the EOA
+        const deposit = lower(transfers[0].from) === own[0];
+        return {
+            type: deposit ? ACTION_TYPE.DEPOSIT : ACTION_TYPE.WITHDRAW,
+            description: `${deposit ? "Deposited" : "Withdrew"} ${summary}`,
+            items: [],
+        };
+    }
+    if (
+        outgoing.length &&
+        outgoing.every((transfer) => lower(transfer.to) === lower(vault))
+    )
+        return {
+            type: ACTION_TYPE.DEPOSIT,
+            description: `Deposited ${summary} into the vault`,
+            items: [],
+        };
+    if (outgoing.length && !incoming.length)
+        return {
+            type: ACTION_TYPE.SEND,
+            description: `Sent ${summary}`,
+            items: [],
+        };
+    if (incoming.length && !outgoing.length)
+        return {
+            type: ACTION_TYPE.RECEIVE,
+            description: `Received ${summary}`,
+            items: [],
+        };
+    return {
+        type: ACTION_TYPE.CONTRACT_CALL,
+        description: calls.length
+            ? `Called ${calls[0].name}`
+            : `Contract interaction${summary ? `: ${summary}` : ""}`,
+        items: [],
+    };
+}
+
+/**
+ * @param {Array} entries History entries
+ * @param {Object} filters
+ * @param {Date|Number} [filters.fromDate] Earliest time, Date or unix time in seconds
+ * @param {Date|Number} [filters.toDate] Latest time, Date or unix time in seconds
+ * @param {Array<ACTION_TYPE>} [filters.actions] Only keep these actions
+ * @returns {Array} Entries matching the filters
+ */
+export function filterHistory(entries, { fromDate, toDate, actions } = {}) {
+    const toSeconds = (date) =>
+        date instanceof Date ? Math.floor(date.getTime() / 1000) : date;
+    const from = toSeconds(fromDate);
+    const to = toSeconds(toDate);
+    return entries.filter(
+        (entry) =>
+            (from === undefined || entry.timestamp >= from) &&
+            (to === undefined || entry.timestamp <= to) &&
+            (!actions || actions.includes(entry.action.type))
+    );
+}
@@ -0,0 +1,328 @@
+import { getItemByChainAndIds, setItemByChainAndIds } from "./localStorage";
+import { now } from "./rentalStatus";
+
+const ethers = require("ethers");
+
+export const TX_KIND = {
+    DEPOSIT: "deposit",
+    WITHDRAW: "withdraw",
+    CHECKOUT: "checkout",
+    REGISTER: "register",
+    REFERENCE: "reference",
+    APPROVE: "approve",
+};
+
+export const TX_STATUS = {
+    PENDING: "pending",
+    MINED: "mined",
+    CONFIRMED: "confirmed",
+    FAILED: "failed",
+    REPLACED: "replaced",
+    DROPPED: "dropped",
+};
+
+// Same reasons ethers reports for TRANSACTION_REPLACED errors
+export const REPLACEMENT_REASON = {
+    REPRICED: "repriced",
+    CANCELLED: "cancelled",
+    REPLACED: "replaced",
+};
+
+const FINAL_STATUSES = [
+    TX_STATUS.CONFIRMED,
+    TX_STATUS.FAILED,
+    TX_STATUS.REPLACED,
+    TX_STATUS.DROPPED,
+];
+
+// Blocks searched for an unknown replacement once a nonce has been used
+const MAX_REPLACEMENT_SCAN = 100;
+
+// Final transactions kept in the saved history, older ones are dropped on save
+const MAX_FINAL_TRANSACTIONS = 50;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @param {Object} record Tracked transaction
+ * @param {TransactionResponse} replacement Transaction mined with the same nonce
+ * @returns {REPLACEMENT_REASON}
+ */
+function getReplacementReason(record, replacement) {
+    const value = ethers.BigNumber.from(replacement.value || 0);
+    if (
+        replacement.data === record.data &&
+        sameAddress(replacement.to, record.to) &&
+        value.eq(record.value || 0)
+    )
+        return REPLACEMENT_REASON.REPRICED;
+    if (
+        replacement.data === "0x" &&
+        sameAddress(replacement.to, replacement.from) &&
+        value.isZero()
+    )
+        return REPLACEMENT_REASON.CANCELLED;
+    return REPLACEMENT_REASON.REPLACED;
+}
+
+/**
+ * Records every submitted transaction of an account and follows it until it is
+ * confirmed, fails, gets replaced or dropped. State is saved in localStorage by chain
+ * and account so pending transactions resume after a reload, along with the most recent
+ * final ones.
+ * @param {Provider} provider
+ * @param {string} account Account the transactions belong to
+ * @param {Object} options
+ * @param {Number} [options.confirmations] Blocks until a mined transaction is confirmed
+ * @param {Number} [options.interval] Poll interval in ms
+ * @param {Number} [options.droppedAfter] Seconds a transaction may be unknown to the node before it is dropped
+ * @returns {Object} Transaction tracker
+ */
+export function createTransactionTracker(
+    provider,
+    account,
+    { confirmations = 3, interval = 4000, droppedAfter = 30 * 60 } = {}
+) {
+    let transactions = getItemByChainAndIds("transactions", [account]) || [];
+    let listeners = [];
+    let timer = null;
+    let checking = false;
+    // Last time each pending transaction was known to the node, kept in memory to
+    // avoid saving on every poll
+    const lastSeen = {};
+
+    const find = (hash) => transactions.find((tx) => tx.hash === hash);
+    const isActive = (tx) => !FINAL_STATUSES.includes(tx.status);
+
+    const save = (record) => {
+        let final = 0;
+        transactions = transactions.filter(
+            (tx) => isActive(tx) || ++final <= MAX_FINAL_TRANSACTIONS
+        );
+        setItemByChainAndIds("transactions", [account], transactions);
+        listeners.forEach((listener) => listener(record, transactions));
+    };
+
+    const update = (hash, changes) => {
+        const record = find(hash);
+        if (Object.keys(changes).every((key) => record[key] === changes[key]))
+            return record;
+        const updated = { ...record, ...changes, updatedAt: now() };
+        transactions = transactions.map((tx) =>
+            tx.hash === hash ? updated : tx
+        );
+        save(updated);
+        return updated;
+    };
+
+    /**
+     * @param {Object} record
+     * @param {Number} blockNumber Latest block
+     * @returns {Promise<TransactionResponse>} Mined transaction that used the record's nonce
+     */
+    const findReplacement = async (record, blockNumber) => {
+        const siblings = transactions.filter(
+            (tx) =>
+                tx.hash !== record.hash &&
+                tx.nonce === record.nonce &&
+                sameAddress(tx.from, record.from)
+        );
+        for (const sibling of siblings) {
+            if (await provider.getTransactionReceipt(sibling.hash))
+                return await provider.getTransaction(sibling.hash);
+        }
+        const start = Math.max(
+            record.submittedBlock || 0,
+            blockNumber - MAX_REPLACEMENT_SCAN
+        );
+        for (let block = blockNumber; block >= start; block--) {
+            const { transactions: mined } =
+                await provider.getBlockWithTransactions(block);
+            const replacement = mined.find(
+                (tx) =>
+                    tx.nonce === record.nonce &&
+                    sameAddress(tx.from, record.from)
+            );
+            if (replacement) return replacement;
+        }
+        return null;
+    };
+
+    const markReplaced = async (record, replacement) => {
+        const reason = replacement
+            ? getReplacementReason(record, replacement)
+            : REPLACEMENT_REASON.REPLACED;
+        if (replacement && !find(replacement.hash)) {
+            await tracker.track(replacement, {
+                kind: record.kind,
+                assets: record.assets,
+                replaces: record.hash,
+            });
+        }
+        return update(record.hash, {
+            status: TX_STATUS.REPLACED,
+            replacedBy: replacement ? replacement.hash : null,
+            replacementReason: reason,
+        });
+    };
+
+    /**
+     * @param {Object} record
+     * @param {Number} blockNumber Latest block
+     */
+    const check = async (record, blockNumber) => {
+        const receipt = await provider.getTransactionReceipt(record.hash);
+        if (receipt && receipt.blockNumber) {
+            const mined = blockNumber - receipt.blockNumber + 1;
+            let status = TX_STATUS.MINED;
+            if (receipt.status === 0) status = TX_STATUS.FAILED;
+            else if (mined >= confirmations) status = TX_STATUS.CONFIRMED;
+            return update(record.hash, {
+                status,
+                blockNumber: receipt.blockNumber,
+                confirmations: mined,
+                gasUsed: receipt.gasUsed.toHexString(),
+            });
+        }
+        if (await provider.getTransaction(record.hash)) {
+            // Back to pending if the block it was mined in got reorganized out
+            lastSeen[record.hash] = now();
+            return update(record.hash, {
+                status: TX_STATUS.PENDING,
+                blockNumber: null,
+                confirmations: 0,
+            });
+        }
+        if (!record.relayed && record.nonce !== null) {
+            const nonce = await provider.getTransactionCount(
+                record.from,
+                "latest"
+            );
+            if (nonce > record.nonce)
+                return await markReplaced(
+                    record,
+                    await findReplacement(record, blockNumber)
+                );
+        }
+        const seenAt = lastSeen[record.hash] || record.lastSeenAt;
+        if (now() - seenAt > droppedAfter)
+            return update(record.hash, {
+                status: TX_STATUS.DROPPED,
+                lastSeenAt: seenAt,
+            });
+        return record;
+    };
+
+    const poll = async () => {
+        if (checking) return;
+        checking = true;
+        try {
+            const blockNumber = await provider.getBlockNumber();
+            for (const record of transactions.filter(isActive)) {
+                try {
+                    await check(find(record.hash), blockNumber);
+                } catch (error) {
+                    console.log("check transaction error", error);
+                }
+            }
+        } catch (error) {
+            console.log("poll transactions error", error);
+        } finally {
+            checking = false;
+        }
+        if (!transactions.some(isActive)) tracker.stop();
+    };
+
+    const tracker = {
+        /**
+         * @returns {Array} Tracked transactions, most recent first
+         */
+        getTransactions() {
+            return transactions;
+        },
+        /**
+         * @param {string} hash
+         * @returns {Object} Tracked transaction
+         */
+        getTransaction(hash) {
+            return find(hash);
+        },
+        /**
+         * Starts tracking a submitted transaction
+         * @param {TransactionResponse|string} tx Response, or hash of a relayed transaction
+         * @param {Object} details
+         * @param {TX_KIND} details.kind
+         * @param {Array} [details.assets] Assets moved, e.g. { address, tokenId, amount }
+         * @param {boolean} [details.relayed] Whether it was relayed from the proxy wallet
+         * @param {string} [details.replaces] Hash of the transaction it speeds up or cancels
+         * @returns {Promise<Object>} Tracked transaction
+         */
+        async track(tx, { kind, assets = [], relayed = false, replaces } = {}) {
+            const hash = typeof tx === "string" ? tx : tx.hash;
+            if (find(hash)) return find(hash);
+            const response =
+                typeof tx === "string" ? await provider.getTransaction(tx) : tx;
+            const record = {
+                hash,
+                kind,
+                assets,
+                relayed,
+                status: TX_STATUS.PENDING,
+                from: response?.from || null,
+                to: response?.to || null,
+                nonce: relayed ? null : response?.nonce ?? null,
+                data: response?.data || "0x",
+                value: response?.value
+                    ? ethers.BigNumber.from(response.value).toHexString()
+                    : "0x0",
+                replaces: replaces || null,
+                replacedBy: null,
+                replacementReason: null,
+                blockNumber: null,
+                confirmations: 0,
+                gasUsed: null,
+                submittedBlock: await provider.getBlockNumber(),
+                submittedAt: now(),
+                lastSeenAt: now(),
+                updatedAt: now(),
+            };
+            transactions = [record, ...transactions];
+            save(record);
+            tracker.resume();
+            return record;
+        },
+        /**
+         * Picks up polling for transactions that are not final yet
+         */
+        resume() {
+            if (timer || !transactions.some(isActive)) return;
+            timer = setInterval(poll, interval);
+            poll();
+        },
+        /**
+         * Stops polling, tracking continues on the next resume()
+         */
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        /**
+         * @param {function} listener Called with (transaction, transactions) on every change
+         * @returns {function} Unsubscribes the listener
+         */
+        subscribe(listener) {
+            listeners = [...listeners, listener];
+            return () => {
+                listeners = listeners.filter((current) => current !== listener);
+            };
+        },
+        /**
+         * Removes final transactions from the history
+         */
+        clearFinished() {
+            transactions = transactions.filter(isActive);
+            save(null);
+        },
+    };
+    return tracker;
+}
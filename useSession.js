@@ -0,0 +1,18 @@
+import { useCallback, useSyncExternalStore } from "react";
+import { session as defaultSession, SESSION_EVENT } from "./sessionStore";
+
+const selectState = (state) => state;
+
+/**
+ * Subscribes a component to the session store
+ * @param {function} selector Picks a value from the state, must return a stable reference
+ * @param {Object} store Session store, defaults to the shared session
+ * @returns {*} Selected value
+ */
+export function useSession(selector = selectState, store = defaultSession) {
+    const subscribe = useCallback(
+        (onChange) => store.subscribe(SESSION_EVENT.CHANGE, onChange),
+        [store]
+    );
+    return useSyncExternalStore(subscribe, () => selector(store.getState()));
+}